@@ -7,6 +7,12 @@
  *  - code, brand, desc_short, desc_long, uom, qty, unit_list, disc_pct,
  *  - unit_price, amount, unit_w_gst, conv, qty_uomstk, uprice_uomstk, uomstk,
  *  - gst, acct_disp, dept_disp, proj_disp, rqt_day, rqt_mth, rqt_yr, batchnum
+ *
+ * It also defines `window.$fillHeader` for document header values (supplier, document no., dates,
+ * currency, totals); see HEADER_SPEC in ocr-utils.js. `window.$readRows` reads the form's lines back into row objects.
+ *
+ * Field names, the add-row button and row detection come from a form adapter (`window.aiOcrFormAdapters`).
+ * The legacy purchase-order screen ships as the default adapter, 'po'.
  */
 (() => {
     // ==========================================================================================
@@ -29,6 +35,36 @@
         'rqt_day', 'rqt_mth', 'rqt_yr', 'batchnum'
     ];
 
+    /**
+     * @description Defaults for `$addRows(rows, { merge })`. `AI_OCR.config.merge` overrides them, the call
+     * overrides both. `key` is a field or 'a+b' combination; `quantity` is 'replace', 'sum' or 'skip'.
+     */
+    const MERGE_DEFAULTS = Object.freeze({
+        key: 'code',
+        quantity: 'replace',
+        fields: ['qty', 'unit_list', 'disc_pct', 'unit_price', 'amount'],
+    });
+
+    /**
+     * @description Outcome of writing one field, as reported by `$addRows(...).report`.
+     * @typedef {{ key: string, name: string|null, value: *, status: string, actual?: *, message?: string }} FieldResult
+     */
+    const FILL_STATUS = Object.freeze({
+        written: 'written',           // value is in the field
+        readonly: 'readonly',         // left to the form (read-only/calculated field)
+        missing: 'missing',           // no element with the mapped name on the page
+        unmapped: 'unmapped',         // the form adapter has no field for this key
+        rejected: 'rejected',         // the field did not keep the value (e.g. select without that option)
+        recalculated: 'recalculated', // written, then changed by the form's own logic
+        error: 'error',               // a handler or legacy script threw
+    });
+
+    /** @description How many imports `AI_OCR.undoLast()` can step back through. */
+    const JOURNAL_LIMIT = 10;
+
+    /** @description Adapter used when neither the call nor `AI_OCR.config.formAdapter` names one. */
+    const DEFAULT_ADAPTER_ID = 'po';
+
     // ==========================================================================================
     // SECTION: DOM and Event Helpers
     // ==========================================================================================
@@ -216,70 +252,6 @@
         checkbox.dispatchEvent(new Event('change', { bubbles: true }));
     }
 
-    /**
-     * Gets the index of the last visible row on the form.
-     * @returns {number|null} The index of the last row, or null if not found.
-     */
-    const getCurrentRowIndex = () => {
-        const hiddenMaxRow = getElementByName('HddenMaxRowAdded');
-        if (hiddenMaxRow && hiddenMaxRow.value && !isNaN(hiddenMaxRow.value)) {
-            return parseInt(hiddenMaxRow.value, 10);
-        }
-        const visibleRows = [...document.querySelectorAll('tr[id^="rowtr"]')].filter(isElementVisible);
-        const rowNumbers = visibleRows.map(row => parseInt(row.id.replace('rowtr', ''), 10)).filter(num => !isNaN(num));
-        return rowNumbers.length ? Math.max(...rowNumbers) : null;
-    };
-
-    /**
-     * Waits for a new row to become visible in the DOM.
-     * @param {number} rowIndex - The index of the row to wait for.
-     * @param {number} [timeoutMs=8000] - The maximum time to wait.
-     * @returns {Promise<boolean>} True if the row becomes visible, false if it times out.
-     */
-    const waitForRowToBeShown = async (rowIndex, timeoutMs = 8000) => {
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutMs) {
-            const hiddenMaxRow = getElementByName('HddenMaxRowAdded');
-            const hiddenMaxValue = hiddenMaxRow && !isNaN(hiddenMaxRow.value) ? parseInt(hiddenMaxRow.value, 10) : null;
-            const rowElement = document.getElementById(`rowtr${rowIndex}`);
-            if ((hiddenMaxValue && hiddenMaxValue >= rowIndex) || (rowElement && isElementVisible(rowElement))) {
-                return true;
-            }
-            await sleep(50);
-        }
-        return false;
-    };
-
-    /**
-     * Ensures a hidden select list for prices exists for a given row.
-     * @param {number} rowIndex - The index of the row.
-     */
-    function ensurePriceListExists(rowIndex) {
-        const priceListName = `fmi_aup${rowIndex}_list`;
-        if (getElementByName(priceListName)) return;
-        const selectElement = document.createElement('select');
-        selectElement.name = priceListName;
-        selectElement.size = 7;
-        selectElement.style.position = 'absolute';
-        selectElement.style.visibility = 'hidden';
-        (getElementByName(`fmi_aup${rowIndex}_disp`)?.form || document.forms[0] || document.body).appendChild(selectElement);
-    }
-
-    /**
-     * Ensures a hidden select list for UOM exists for a given row.
-     * @param {number} rowIndex - The index of the row.
-     */
-    function ensureUomListExists(rowIndex) {
-        const uomListName = `uom_trans_code${rowIndex}_list`;
-        if (getElementByName(uomListName)) return;
-        const selectElement = document.createElement('select');
-        selectElement.name = uomListName;
-        selectElement.size = 7;
-        selectElement.style.position = 'absolute';
-        selectElement.style.visibility = 'hidden';
-        (getElementByName(`uom_trans_code${rowIndex}_disp`)?.form || document.forms[0] || document.body).appendChild(selectElement);
-    }
-
     /**
      * Temporarily suppresses inline event handlers on an element while executing a function.
      * @param {HTMLElement} element - The element with inline handlers.
@@ -307,39 +279,367 @@
         }
     }
 
+    /**
+     * Ensures a hidden select list exists next to a field, for legacy lookups that expect one.
+     * @param {string} listName - The name of the select list (e.g. 'fmi_aup3_list').
+     * @param {string} nearFieldName - A field whose form should receive the list.
+     */
+    function ensureHiddenListExists(listName, nearFieldName) {
+        if (getElementByName(listName)) return;
+        const selectElement = document.createElement('select');
+        selectElement.name = listName;
+        selectElement.size = 7;
+        selectElement.style.position = 'absolute';
+        selectElement.style.visibility = 'hidden';
+        (getElementByName(nearFieldName)?.form || document.forms[0] || document.body).appendChild(selectElement);
+    }
+
+    // ==========================================================================================
+    // SECTION: Form Adapters
+    // ==========================================================================================
+
+    /**
+     * A form adapter describes one host screen. Only `id` and `fields` are required.
+     * @typedef {object} FormAdapter
+     * @property {string} id - Registry key, e.g. 'po'.
+     * @property {string} [label]
+     * @property {string} [extends] - Id of a registered adapter to inherit from (shallow merge; `fields`,
+     *   `headerFields` and `fieldHandlers` are merged key by key).
+     * @property {Object<string, string>} fields - Row field name templates; `{n}` is replaced by the row number.
+     * @property {Object<string, string|null>} [headerFields] - Header key -> input name (null skips the key).
+     * @property {Array<string>} [fillOrder] - Order in which row fields are filled (default FIELD_FILL_ORDER).
+     * @property {string} [addRowSelector] - Button clicked to add a row.
+     * @property {string} [rowCountField] - Hidden input holding the number of the last row.
+     * @property {string} [rowIdTemplate] - Id template of a row element, e.g. 'rowtr{n}'.
+     * @property {(ctx: object) => (void|Promise<void>)} [addRow] - Replaces clicking `addRowSelector`.
+     * @property {(ctx: object) => (number|null)} [getLastRowIndex] - Replaces the row-count/row-id detection.
+     * @property {(rowIndex: number, ctx: object) => boolean} [isRowReady] - True once a new row can be filled.
+     * @property {(rowIndex: number, ctx: object) => boolean} [isRowEmpty] - Replaces the "all mapped inputs blank"
+     *   check used to reuse existing rows.
+     * @property {Object<string, { before?: Function, fill?: Function }>} [fieldHandlers] - Per-field hooks.
+     *   Both receive a field context: { rowIndex, key, value, fieldName, element, adapter, defaultFill, ...helpers }.
+     *   `before` runs ahead of the element lookup; `fill` replaces the default typing and only runs when the
+     *   element exists. `fill` may return a FILL_STATUS (e.g. 'readonly') when it leaves the field alone.
+     * @property {(rowIndex: number, ctx: object) => void} [afterRow] - Runs once a row is filled.
+     * @property {(rowIndex: number, ctx: object) => (void|Promise<void>)} [removeRow] - Deletes a row the
+     *   library added, used by undo. Without it, undo clears the row's fields instead.
+     */
+
+    /** Helpers passed to adapter hooks so host adapters can reuse the simulated input. */
+    const ADAPTER_HELPERS = Object.freeze({
+        getElementByName,
+        isElementVisible,
+        sleep,
+        fireFocusEvent,
+        fireBlurEvent,
+        typeFocusBlur,
+        setValueDirectly,
+        clickCheckboxLikeHuman,
+        withSuppressedInlineHandlers,
+        ensureHiddenListExists,
+    });
+
+    /** Leaves readonly (calculated) fields to the screen's own calculation. */
+    async function fillUnlessReadonly(ctx) {
+        if (ctx.element && (ctx.element.readOnly || ctx.element.hasAttribute('readonly'))) return FILL_STATUS.readonly;
+        await ctx.defaultFill();
+    }
+
+    /** Smart boxes (account/department/project lookups) fire their lookup on blur, not on typing. */
+    async function fillSmartBox(ctx) {
+        const { element, value } = ctx;
+        if (!element) return;
+        if (!isElementVisible(element) || element.type === 'hidden') {
+            await ctx.defaultFill();
+            return;
+        }
+        withSuppressedInlineHandlers(element, () => setValueDirectly(element, value));
+        fireFocusEvent(element);
+        await sleep(5);
+        fireBlurEvent(element);
+        await sleep(5);
+    }
+
+    /** @description The legacy purchase-order screen this library was written for. */
+    const PO_ADAPTER = {
+        id: 'po',
+        label: 'Purchase order (non-stock rows)',
+        fields: {
+            code: 'stkcode_code{n}',
+            brand: 'stkcode_brand{n}',
+            desc_short: 'stkcode_desc{n}',
+            desc_long: 'desc{n}',
+            uom: 'uom_trans_code{n}_disp',
+            qty: 'qnty_total{n}',
+            unit_list: 'fmi_aup{n}_disp',
+            disc_pct: 'discount_pct{n}',
+            unit_price: 'price_unitrate_forex{n}',
+            amount: 'extnamt_orig_forex{n}',
+            unit_w_gst: 'uprice_wt_gst{n}',
+            conv: 'uom_trans_code{n}_conv',
+            qty_uomstk: 'qnty_uomstk{n}',
+            uprice_uomstk: 'uprice_uomstk{n}',
+            uomstk: 'uomstk_code{n}',
+            gst: 'fmi_row_gst{n}',
+            acct_disp: 'fmi_row_acctnum{n}_disp',
+            dept_disp: 'fmi_row_deptunit{n}_disp',
+            proj_disp: 'fmi_row_entprojfn{n}_disp',
+            rqt_day: 'rowday{n}',
+            rqt_mth: 'rowmth{n}',
+            rqt_yr: 'rowyear{n}',
+            batchnum: 'batchnum_code{n}',
+        },
+        headerFields: {
+            supplier_name: 'supp_name',
+            supplier_ref: 'supp_ref',
+            doc_no: 'doc_no',
+            doc_date: 'doc_date',
+            currency: 'curr_code',
+            payment_terms: 'pay_terms',
+            subtotal: 'subtotal_amt',
+            gst_total: 'gst_amt',
+            grand_total: 'grand_total_amt',
+        },
+        addRowSelector: '#gononstockbtn',
+        rowCountField: 'HddenMaxRowAdded',
+        rowIdTemplate: 'rowtr{n}',
+        fieldHandlers: {
+            gst: {
+                fill: (ctx) => clickCheckboxLikeHuman(ctx.element, !!ctx.value),
+            },
+            unit_list: {
+                // The list price is read-only until the screen's own "edit price" toggle runs
+                before: ({ rowIndex, fieldName }) => {
+                    const flag = getElementByName(`fmi_unit_price_editable${rowIndex}`);
+                    if (flag) flag.value = 'y';
+                    if (typeof window.UnitPriceEditable === 'function') {
+                        try {
+                            UnitPriceEditable(rowIndex);
+                        } catch (error) {
+                            // Ignore errors from legacy functions.
+                        }
+                    } else {
+                        try {
+                            getElementByName(fieldName)?.click();
+                        } catch (error) {
+                            // Ignore errors from legacy functions.
+                        }
+                    }
+                    ensureHiddenListExists(`fmi_aup${rowIndex}_list`, fieldName);
+                },
+            },
+            uom: {
+                before: ({ rowIndex, fieldName }) => ensureHiddenListExists(`uom_trans_code${rowIndex}_list`, fieldName),
+            },
+            unit_price: { fill: fillUnlessReadonly },
+            amount: { fill: fillUnlessReadonly },
+            acct_disp: { fill: fillSmartBox },
+            dept_disp: { fill: fillSmartBox },
+            proj_disp: { fill: fillSmartBox },
+        },
+        afterRow: () => {
+            try {
+                if (typeof fixNumberDecimal === 'function') {
+                    fixNumberDecimal('number', 'all');
+                    fixNumberDecimal('text', 'all');
+                }
+            } catch (error) {
+                // Ignore errors from legacy functions.
+            }
+        },
+    };
+
+    const adapterRegistry = new Map();
+
+    /**
+     * Registers (or replaces) a form adapter. With `extends`, the named adapter is used as the base.
+     * @param {FormAdapter} adapter
+     * @returns {FormAdapter} The registered (merged) adapter.
+     */
+    function registerAdapter(adapter) {
+        if (!adapter || !adapter.id) throw new Error('A form adapter must have an id.');
+        const merged = mergeAdapter(adapter);
+        adapterRegistry.set(merged.id, merged);
+        return merged;
+    }
+
+    /**
+     * Applies `extends` and checks the result has field templates.
+     * @param {FormAdapter} adapter
+     * @returns {FormAdapter}
+     */
+    function mergeAdapter(adapter) {
+        const base = adapter.extends ? adapterRegistry.get(adapter.extends) : null;
+        if (adapter.extends && !base) throw new Error(`Form adapter "${adapter.id}" extends unknown adapter "${adapter.extends}".`);
+        const merged = base ? {
+            ...base,
+            ...adapter,
+            fields: { ...base.fields, ...(adapter.fields || {}) },
+            headerFields: { ...(base.headerFields || {}), ...(adapter.headerFields || {}) },
+            fieldHandlers: { ...(base.fieldHandlers || {}), ...(adapter.fieldHandlers || {}) },
+        } : { ...adapter };
+        if (!merged.fields || typeof merged.fields !== 'object') {
+            throw new Error(`Form adapter "${adapter.id || '(inline)'}" must define field name templates.`);
+        }
+        return merged;
+    }
+
+    /**
+     * Resolves the adapter for a call: an adapter object, a registered id, `AI_OCR.config.formAdapter`, or 'po'.
+     * @param {string|FormAdapter} [idOrAdapter]
+     * @returns {FormAdapter}
+     */
+    function resolveAdapter(idOrAdapter) {
+        const wanted = idOrAdapter || window.aiOcrUtils?.getConfig('formAdapter', null) || DEFAULT_ADAPTER_ID;
+        if (typeof wanted === 'object') return mergeAdapter(wanted);
+        const adapter = adapterRegistry.get(wanted);
+        if (!adapter) throw new Error(`Unknown form adapter "${wanted}". Register it with aiOcrFormAdapters.register().`);
+        return adapter;
+    }
+
     /**
      * Gets the name of a form field for a specific row and key.
+     * @param {FormAdapter} adapter - The active adapter.
      * @param {number} rowIndex - The index of the row.
      * @param {string} key - The key identifying the field.
      * @returns {string|undefined} The name of the form field.
      */
-    function getColumnName(rowIndex, key) {
-        const nameMap = {
-            code: `stkcode_code${rowIndex}`,
-            brand: `stkcode_brand${rowIndex}`,
-            desc_short: `stkcode_desc${rowIndex}`,
-            desc_long: `desc${rowIndex}`,
-            uom: `uom_trans_code${rowIndex}_disp`,
-            qty: `qnty_total${rowIndex}`,
-            unit_list: `fmi_aup${rowIndex}_disp`,
-            disc_pct: `discount_pct${rowIndex}`,
-            unit_price: `price_unitrate_forex${rowIndex}`,
-            amount: `extnamt_orig_forex${rowIndex}`,
-            unit_w_gst: `uprice_wt_gst${rowIndex}`,
-            conv: `uom_trans_code${rowIndex}_conv`,
-            qty_uomstk: `qnty_uomstk${rowIndex}`,
-            uprice_uomstk: `uprice_uomstk${rowIndex}`,
-            uomstk: `uomstk_code${rowIndex}`,
-            gst: `fmi_row_gst${rowIndex}`,
-            acct_disp: `fmi_row_acctnum${rowIndex}_disp`,
-            dept_disp: `fmi_row_deptunit${rowIndex}_disp`,
-            proj_disp: `fmi_row_entprojfn${rowIndex}_disp`,
-            rqt_day: `rowday${rowIndex}`,
-            rqt_mth: `rowmth${rowIndex}`,
-            rqt_yr: `rowyear${rowIndex}`,
-            batchnum: `batchnum_code${rowIndex}`,
-        };
-        return nameMap[key];
+    function getColumnName(adapter, rowIndex, key) {
+        const template = adapter.fields[key];
+        return template ? template.replace(/\{n\}/g, String(rowIndex)) : undefined;
+    }
+
+    /**
+     * Gets the name of a header form field. `AI_OCR.config.headerFields` overrides the adapter's map.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {string} key - The header key (e.g. 'supplier_name').
+     * @param {object} [nameMap] - Per-call overrides, merged over the configured and adapter maps.
+     * @returns {string|null|undefined} The name of the form field, or null/undefined to skip.
+     */
+    function getHeaderColumnName(adapter, key, nameMap) {
+        const configured = window.aiOcrUtils?.getConfig('headerFields', null) || {};
+        const merged = { ...(adapter.headerFields || {}), ...configured, ...(nameMap || {}) };
+        return merged[key];
+    }
+
+    /**
+     * Gets the number of the last row on the form.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @returns {number|null} The index of the last row, or null if not found.
+     */
+    function getCurrentRowIndex(adapter) {
+        if (typeof adapter.getLastRowIndex === 'function') {
+            return adapter.getLastRowIndex({ adapter, ...ADAPTER_HELPERS });
+        }
+        const rowCount = adapter.rowCountField ? getElementByName(adapter.rowCountField) : null;
+        if (rowCount && rowCount.value && !isNaN(rowCount.value)) {
+            return parseInt(rowCount.value, 10);
+        }
+        if (!adapter.rowIdTemplate) return null;
+        const [prefix, suffix = ''] = adapter.rowIdTemplate.split('{n}');
+        const visibleRows = [...document.querySelectorAll(`[id^="${prefix}"]`)].filter(isElementVisible);
+        const rowNumbers = visibleRows
+            .map(row => row.id.slice(prefix.length, suffix ? -suffix.length : undefined))
+            .map(num => (/^\d+$/.test(num) ? parseInt(num, 10) : NaN))
+            .filter(num => !isNaN(num));
+        return rowNumbers.length ? Math.max(...rowNumbers) : null;
+    }
+
+    /**
+     * Checks whether a newly added row exists and can be filled.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {number} rowIndex - The index of the row.
+     * @returns {boolean}
+     */
+    function isRowReady(adapter, rowIndex) {
+        if (typeof adapter.isRowReady === 'function') {
+            return !!adapter.isRowReady(rowIndex, { adapter, ...ADAPTER_HELPERS });
+        }
+        const rowCount = adapter.rowCountField ? getElementByName(adapter.rowCountField) : null;
+        const rowCountValue = rowCount && !isNaN(rowCount.value) ? parseInt(rowCount.value, 10) : null;
+        if (rowCountValue && rowCountValue >= rowIndex) return true;
+        const rowElement = adapter.rowIdTemplate ? document.getElementById(adapter.rowIdTemplate.replace(/\{n\}/g, String(rowIndex))) : null;
+        if (rowElement && isElementVisible(rowElement)) return true;
+        // Without row markers, the first field of the row appearing is the signal
+        const firstField = Object.keys(adapter.fields)[0];
+        return !adapter.rowCountField && !adapter.rowIdTemplate && !!getElementByName(getColumnName(adapter, rowIndex, firstField));
+    }
+
+    /**
+     * Checks whether an existing row is blank: it exists, is visible, and every mapped text input/select is
+     * empty. Checkboxes and radios are ignored because they always hold a state.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {number} rowIndex - The index of the row.
+     * @returns {boolean}
+     */
+    function isRowEmpty(adapter, rowIndex) {
+        if (typeof adapter.isRowEmpty === 'function') {
+            return !!adapter.isRowEmpty(rowIndex, { adapter, ...ADAPTER_HELPERS });
+        }
+        const rowElement = adapter.rowIdTemplate ? document.getElementById(adapter.rowIdTemplate.replace(/\{n\}/g, String(rowIndex))) : null;
+        if (rowElement && !isElementVisible(rowElement)) return false;
+        let found = 0;
+        for (const key of Object.keys(adapter.fields)) {
+            const element = getElementByName(getColumnName(adapter, rowIndex, key));
+            if (!element) continue;
+            found++;
+            const type = (element.type || '').toLowerCase();
+            if (type === 'checkbox' || type === 'radio') continue;
+            if (String(element.value ?? '').trim() !== '') return false;
+        }
+        return found > 0;
+    }
+
+    /**
+     * Lists the blank rows already on the form, lowest first.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @returns {Array<number>}
+     */
+    function findEmptyRows(adapter) {
+        const lastRowIndex = getCurrentRowIndex(adapter);
+        if (!Number.isFinite(lastRowIndex)) return [];
+        const emptyRows = [];
+        for (let rowIndex = 1; rowIndex <= lastRowIndex; rowIndex++) {
+            if (isRowEmpty(adapter, rowIndex)) emptyRows.push(rowIndex);
+        }
+        return emptyRows;
+    }
+
+    /**
+     * Waits for a new row to become visible in the DOM.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {number} rowIndex - The index of the row to wait for.
+     * @param {number} [timeoutMs=8000] - The maximum time to wait.
+     * @returns {Promise<boolean>} True if the row becomes visible, false if it times out.
+     */
+    const waitForRowToBeShown = async (adapter, rowIndex, timeoutMs = 8000) => {
+        const startTime = Date.now();
+        while (Date.now() - startTime < timeoutMs) {
+            if (isRowReady(adapter, rowIndex)) {
+                return true;
+            }
+            await sleep(50);
+        }
+        return false;
+    };
+
+    /**
+     * Triggers the host's "add row" action.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @returns {Promise<boolean>} False if the adapter has no way to add a row on this page.
+     */
+    async function triggerAddRow(adapter) {
+        if (typeof adapter.addRow === 'function') {
+            await adapter.addRow({ adapter, ...ADAPTER_HELPERS });
+            return true;
+        }
+        const addButton = adapter.addRowSelector ? querySelector(adapter.addRowSelector) : null;
+        if (!addButton) {
+            console.warn(`Add-row button ${adapter.addRowSelector || '(none configured)'} not found for form adapter "${adapter.id}".`);
+            return false;
+        }
+        addButton.click();
+        return true;
     }
 
     // ==========================================================================================
@@ -347,120 +647,527 @@
     // ==========================================================================================
 
     /**
-     * Fills a single field in a row with a given value.
+     * Fills a single field in a row with a given value and reports what happened.
+     * @param {FormAdapter} adapter - The active adapter.
      * @param {number} rowIndex - The index of the row.
      * @param {string} key - The key identifying the field.
      * @param {*} value - The value to fill.
+     * @param {Array<object>} [changes] - Journal list; receives `{ name, previous }` before the field is written.
+     * @returns {Promise<FieldResult>} One of the FILL_STATUS outcomes for this field.
      */
-    async function fillOneField(rowIndex, key, value) {
-        const fieldName = getColumnName(rowIndex, key);
-        if (!fieldName) return;
+    async function fillOneField(adapter, rowIndex, key, value, changes) {
+        const fieldName = getColumnName(adapter, rowIndex, key);
+        const result = { key, name: fieldName || null, value, status: FILL_STATUS.written };
+        if (!fieldName) return { ...result, status: FILL_STATUS.unmapped };
 
-        if (key === 'gst') {
-            clickCheckboxLikeHuman(getElementByName(fieldName), !!value);
-            return;
-        }
+        const handler = (adapter.fieldHandlers && adapter.fieldHandlers[key]) || {};
+        const ctx = { ...ADAPTER_HELPERS, adapter, rowIndex, key, value, fieldName, element: null };
+        try {
+            if (typeof handler.before === 'function') await handler.before(ctx);
 
-        if (key === 'unit_list') {
-            const flag = getElementByName(`fmi_unit_price_editable${rowIndex}`);
-            if (flag) flag.value = 'y';
-            if (typeof window.UnitPriceEditable === 'function') {
-                try {
-                    UnitPriceEditable(rowIndex);
-                } catch (error) {
-                    // Ignore errors from legacy functions.
-                }
-            } else {
-                try {
-                    getElementByName(fieldName)?.click();
-                } catch (error) {
-                    // Ignore errors from legacy functions.
-                }
-            }
-            ensurePriceListExists(rowIndex);
+            ctx.element = getElementByName(fieldName);
+            if (!ctx.element) return { ...result, status: FILL_STATUS.missing };
+            if (changes) changes.push({ name: fieldName, previous: readElementValue(ctx.element) });
+            ctx.defaultFill = () => fillElement(ctx.element, value);
+            // A fill handler may return a FILL_STATUS (e.g. 'readonly') when it deliberately leaves the field
+            const handled = typeof handler.fill === 'function' ? await handler.fill(ctx) : await ctx.defaultFill();
+            if (typeof handled === 'string' && handled !== FILL_STATUS.written) return { ...result, status: handled };
+        } catch (error) {
+            console.warn(`Filling ${fieldName} failed:`, error);
+            return { ...result, status: FILL_STATUS.error, message: String(error && error.message || error) };
         }
-        if (key === 'uom') {
-            ensureUomListExists(rowIndex);
+
+        result.actual = readElementValue(ctx.element);
+        const expected = typeof result.actual === 'boolean' ? !!value : value;
+        if (!isSameValue(result.actual, expected)) {
+            result.status = FILL_STATUS.rejected;
+            result.message = `The field kept "${result.actual}"`;
         }
+        return result;
+    }
 
-        const element = getElementByName(fieldName);
-        if (!element) return;
+    /**
+     * Compares a form value with the intended one: booleans by truthiness, numeric strings by value
+     * ("2" equals "2.00"), everything else as trimmed text.
+     * @returns {boolean}
+     */
+    function isSameValue(actual, expected) {
+        if (typeof actual === 'boolean' || typeof expected === 'boolean') return !!actual === !!expected;
+        const a = String(actual ?? '').trim();
+        const b = String(expected ?? '').trim();
+        if (a === b) return true;
+        const numeric = /^[-+]?(\d{1,3}(,\d{3})+|\d*)(\.\d+)?$/;
+        if (!a || !b || !numeric.test(a) || !numeric.test(b)) return false;
+        return Math.abs(parseFloat(a.replace(/,/g, '')) - parseFloat(b.replace(/,/g, ''))) < 1e-9;
+    }
 
-        // Skip typing into readonly/calculated fields, but set directly if invisible/hidden
-        if ((key === 'unit_price' || key === 'amount') && (element.readOnly || element.hasAttribute('readonly'))) {
-            return;
-        }
+    /**
+     * Reads an input's value the way the journal stores it.
+     * @param {HTMLElement|null} element - The element.
+     * @returns {string|boolean|null} Checked state for checkboxes/radios, the value otherwise.
+     */
+    function readElementValue(element) {
+        if (!element) return null;
+        const type = (element.type || '').toLowerCase();
+        return (type === 'checkbox' || type === 'radio') ? !!element.checked : String(element.value ?? '');
+    }
 
+    /**
+     * Writes a value the way a user would: typed when visible, set directly when hidden.
+     * @param {HTMLElement|null} element - The target element.
+     * @param {*} value - The value to write.
+     */
+    async function fillElement(element, value) {
+        if (!element) return;
         if (!isElementVisible(element) || element.type === 'hidden') {
             setValueDirectly(element, value);
             return;
         }
-
-        const isSmartBox = (key === 'acct_disp' || key === 'dept_disp' || key === 'proj_disp');
-        if (isSmartBox) {
-            withSuppressedInlineHandlers(element, () => setValueDirectly(element, value));
-            fireFocusEvent(element);
-            await sleep(5);
-            fireBlurEvent(element);
-            await sleep(5);
-            return;
-        }
-
         await typeFocusBlur(element, String(value));
     }
 
     /**
      * Fills all the fields in a single row with data.
+     * @param {FormAdapter} adapter - The active adapter.
      * @param {number} rowIndex - The index of the row.
      * @param {object} data - An object containing the data for the row.
+     * @param {AbortSignal} [signal] - Checked before each field.
+     * @param {{ changes?: Array<object>, fields?: Array<FieldResult> }} [record] - Receives the journal changes
+     *   (`{ name, previous, written }`) and the per-field results.
+     * @returns {Promise<boolean>} False if the signal stopped the row part-way.
      */
-    async function fillRow(rowIndex, data) {
-        for (const key of FIELD_FILL_ORDER) {
-            if (key in data && data[key] != null) {
-                await fillOneField(rowIndex, key, data[key]);
-                await sleep(12);
-            }
-        }
+    async function fillRow(adapter, rowIndex, data, signal, record) {
+        const rowChanges = [];
+        const fieldResults = [];
         try {
-            if (typeof fixNumberDecimal === 'function') {
-                fixNumberDecimal('number', 'all');
-                fixNumberDecimal('text', 'all');
+            for (const key of adapter.fillOrder || FIELD_FILL_ORDER) {
+                if (key in data && data[key] != null) {
+                    if (signal && signal.aborted) return false;
+                    fieldResults.push(await fillOneField(adapter, rowIndex, key, data[key], rowChanges));
+                    await sleep(12);
+                }
             }
-        } catch (error) {
-            // Ignore errors from legacy functions.
+            if (typeof adapter.afterRow === 'function') {
+                try {
+                    await adapter.afterRow(rowIndex, { adapter, ...ADAPTER_HELPERS });
+                } catch (error) {
+                    console.warn(`afterRow failed for form adapter "${adapter.id}":`, error);
+                }
+            }
+            return true;
+        } finally {
+            // Final values are read after afterRow, which may reformat them (e.g. fixNumberDecimal) or
+            // recalculate them from other fields
+            for (const change of rowChanges) {
+                change.written = readElementValue(getElementByName(change.name));
+            }
+            for (const field of fieldResults) {
+                if (field.status !== FILL_STATUS.written) continue;
+                const final = readElementValue(getElementByName(field.name));
+                if (!isSameValue(final, field.actual)) {
+                    field.status = FILL_STATUS.recalculated;
+                    field.message = `Changed from "${field.actual}" to "${final}" by the form`;
+                    field.actual = final;
+                }
+            }
+            if (record && record.changes) record.changes.push(...rowChanges);
+            if (record && record.fields) record.fields.push(...fieldResults);
         }
     }
 
     /**
-     * Adds a new non-stock row and fills it with the provided data.
+     * Adds a new row and fills it with the provided data.
+     * @param {FormAdapter} adapter - The active adapter.
      * @param {object} payload - The data for the new row.
-     * @returns {Promise<number|null>} The index of the new row, or null on failure.
+     * @param {AbortSignal} [signal] - Stops filling between fields.
+     * @param {object} [record] - Journal changes and field results (see fillRow).
+     * @returns {Promise<{ rowId: number|null, complete: boolean }>} The index of the new row (null on failure)
+     *   and whether every field was filled.
      */
-    async function addOneRowAndFill(payload) {
-        const currentRowIndex = getCurrentRowIndex();
+    async function addOneRowAndFill(adapter, payload, signal, record) {
+        const failed = { rowId: null, complete: false };
+        const currentRowIndex = getCurrentRowIndex(adapter);
         if (!Number.isFinite(currentRowIndex)) {
             console.warn('Cannot determine the current visible row.');
-            return null;
+            return failed;
         }
         const nextRowIndex = currentRowIndex + 1;
 
-        const addButton = querySelector('#gononstockbtn');
-        if (!addButton) {
-            console.warn('Non-stock button #gononstockbtn not found.');
-            return null;
-        }
-        addButton.click();
+        if (!await triggerAddRow(adapter)) return failed;
 
-        const isRowShown = await waitForRowToBeShown(nextRowIndex);
+        const isRowShown = await waitForRowToBeShown(adapter, nextRowIndex);
         if (!isRowShown) {
             console.warn('Timed out waiting for new row', nextRowIndex);
-            return null;
+            return failed;
         }
         await sleep(30);
 
-        await fillRow(nextRowIndex, payload || {});
-        console.log('✅ Added & filled row', nextRowIndex);
-        return nextRowIndex;
+        const complete = await fillRow(adapter, nextRowIndex, payload || {}, signal, record);
+        console.log(complete ? '✅ Added & filled row' : '⏹ Stopped part-way through row', nextRowIndex);
+        return { rowId: nextRowIndex, complete };
+    }
+
+    /**
+     * Fills a blank row that is already on the form.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {number} rowIndex - The index of the blank row.
+     * @param {object} payload - The data for the row.
+     * @param {AbortSignal} [signal] - Stops filling between fields.
+     * @param {object} [record] - Journal changes and field results (see fillRow).
+     * @returns {Promise<{ rowId: number, complete: boolean }>}
+     */
+    async function fillExistingRow(adapter, rowIndex, payload, signal, record) {
+        const complete = await fillRow(adapter, rowIndex, payload || {}, signal, record);
+        console.log(complete ? '✅ Filled empty row' : '⏹ Stopped part-way through row', rowIndex);
+        return { rowId: rowIndex, complete };
+    }
+
+    // ==========================================================================================
+    // SECTION: Merge / Upsert
+    // ==========================================================================================
+
+    /**
+     * Resolves merge options, or null when merging is off.
+     * @param {boolean|object} merge - `true` for the defaults, or an object overriding MERGE_DEFAULTS.
+     * @returns {object|null} The options plus `keyFields` (the key split into field names).
+     */
+    function resolveMergeOptions(merge) {
+        if (!merge) return null;
+        const configured = window.aiOcrUtils?.getConfig('merge', null);
+        const opts = {
+            ...MERGE_DEFAULTS,
+            ...(configured && typeof configured === 'object' ? configured : {}),
+            ...(typeof merge === 'object' ? merge : {}),
+        };
+        if (!['replace', 'sum', 'skip'].includes(opts.quantity)) {
+            throw new Error(`merge.quantity must be "replace", "sum" or "skip", got "${opts.quantity}".`);
+        }
+        const keyFields = (Array.isArray(opts.key) ? opts.key : String(opts.key).split('+')).map(k => k.trim()).filter(Boolean);
+        if (!keyFields.length) throw new Error('merge.key must name at least one field.');
+        return { ...opts, keyFields };
+    }
+
+    /**
+     * Builds the match key for a row: key fields trimmed and upper-cased. Rows without a value for the first
+     * key field have no key and are always appended.
+     * @param {object} values - Row values.
+     * @param {Array<string>} keyFields - Fields making up the key.
+     * @returns {string|null}
+     */
+    function toMergeKey(values, keyFields) {
+        const parts = keyFields.map(k => String(values[k] ?? '').trim().toUpperCase());
+        return parts[0] ? parts.join('\u0001') : null;
+    }
+
+    /**
+     * Reads the current values of some fields of a form row.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {number} rowIndex - The index of the row.
+     * @param {Array<string>} keys - Row keys to read.
+     * @returns {object} Values keyed like the row object (checkboxes as booleans).
+     */
+    function readRowValues(adapter, rowIndex, keys) {
+        const values = {};
+        for (const key of keys) {
+            const element = getElementByName(getColumnName(adapter, rowIndex, key));
+            if (!element) continue;
+            const type = (element.type || '').toLowerCase();
+            values[key] = (type === 'checkbox' || type === 'radio') ? !!element.checked : element.value;
+        }
+        return values;
+    }
+
+    /**
+     * Maps the key of every existing row to its row number (first occurrence wins).
+     * Rows hidden by the host (e.g. deleted lines) are skipped, as in $readRows.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {Array<string>} keyFields - Fields making up the key.
+     * @returns {Map<string, number>}
+     */
+    function indexExistingRows(adapter, keyFields) {
+        const index = new Map();
+        const lastRowIndex = getCurrentRowIndex(adapter);
+        if (!Number.isFinite(lastRowIndex)) return index;
+        for (let rowIndex = 1; rowIndex <= lastRowIndex; rowIndex++) {
+            if (adapter.rowIdTemplate) {
+                const rowElement = document.getElementById(adapter.rowIdTemplate.replace(/\{n\}/g, String(rowIndex)));
+                if (!rowElement || !isElementVisible(rowElement)) continue;
+            }
+            const key = toMergeKey(readRowValues(adapter, rowIndex, keyFields), keyFields);
+            if (key != null && !index.has(key)) index.set(key, rowIndex);
+        }
+        return index;
+    }
+
+    // Values read from the form (`fromForm`) always use a '.' decimal, whatever AI_OCR.config.numberLocale says
+    const toNumber = (value, fromForm = false) => {
+        const utils = window.aiOcrUtils;
+        const num = utils ? utils.normalizeNumber(value, fromForm ? { decimal: '.' } : undefined) : parseFloat(value);
+        return Number.isFinite(num) ? num : null;
+    };
+
+    /**
+     * Builds the partial row written to a matched row: the merge fields from the incoming row, with the
+     * quantity replaced, summed or kept. `amount` follows the result: it is recalculated from the unit price
+     * whenever the quantity or price changes, unless a replaced quantity brings its own amount.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {number} rowIndex - The matched form row.
+     * @param {object} incoming - The incoming row.
+     * @param {object} merge - Resolved merge options.
+     * @returns {object}
+     */
+    function buildMergeUpdate(adapter, rowIndex, incoming, merge) {
+        const update = {};
+        for (const key of merge.fields) {
+            if (incoming[key] != null && incoming[key] !== '') update[key] = incoming[key];
+        }
+
+        const existingQty = toNumber(readRowValues(adapter, rowIndex, ['qty']).qty, true);
+        let qty = existingQty;
+        if (merge.quantity === 'replace') {
+            if ('qty' in update) qty = toNumber(update.qty);
+            if ('amount' in update) return update;
+        } else if (merge.quantity === 'sum') {
+            qty = (existingQty || 0) + (toNumber(incoming.qty) || 0);
+            update.qty = qty;
+        } else {
+            delete update.qty;
+        }
+        if (!merge.fields.includes('amount')) return update;
+        if (qty !== existingQty || 'amount' in update || 'unit_price' in update) {
+            const price = update.unit_price != null
+                ? toNumber(update.unit_price)
+                : toNumber(readRowValues(adapter, rowIndex, ['unit_price']).unit_price, true);
+            if (qty != null && price != null) {
+                update.amount = Math.round(qty * price * 100) / 100;
+            } else {
+                delete update.amount;
+            }
+        }
+        return update;
+    }
+
+    // ==========================================================================================
+    // SECTION: Lifecycle Hooks
+    // ==========================================================================================
+
+    /**
+     * Runs a lifecycle hook from ocr-utils.js (AI_OCR.hooks / AI_OCR.on); without ocr-utils the value passes through.
+     * @returns {Promise<*>} The value as changed by the handlers, or false if one vetoed it.
+     */
+    const runHook = (name, value, ...args) => {
+        const utils = window.aiOcrUtils;
+        return utils && utils.runHook ? utils.runHook(name, value, ...args) : Promise.resolve(value);
+    };
+
+    const notifyError = (error, context) => {
+        const utils = window.aiOcrUtils;
+        if (utils && utils.notifyError) utils.notifyError(error, context);
+    };
+
+    // ==========================================================================================
+    // SECTION: Dry Run
+    // ==========================================================================================
+
+    /**
+     * Describes why a value does not suit an element's input type.
+     * @param {HTMLElement} element - The target element.
+     * @param {*} value - The value that would be written.
+     * @returns {string|null} The mismatch, or null if the value fits.
+     */
+    function describeTypeMismatch(element, value) {
+        if (value !== null && typeof value === 'object') return 'expects a single value, not an object';
+        const type = (element.type || '').toLowerCase();
+        const text = String(value).trim();
+        if (type === 'checkbox' || type === 'radio') {
+            const isFlag = typeof value === 'boolean' || typeof value === 'number' || /^(y|n|yes|no|true|false|t|f|1|0)$/i.test(text);
+            return isFlag ? null : `expects true/false, got "${text}"`;
+        }
+        if (element.tagName === 'SELECT') {
+            const wanted = text.toLowerCase();
+            const hasOption = [...element.options].some(option =>
+                option.value.trim().toLowerCase() === wanted || option.text.trim().toLowerCase() === wanted);
+            return hasOption ? null : `has no option "${text}"`;
+        }
+        if (type === 'number' && toNumber(value) == null) return `expects a number, got "${text}"`;
+        if (type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(text)) return `expects a date (YYYY-MM-DD), got "${text}"`;
+        if (element.maxLength > 0 && text.length > element.maxLength) return `allows ${element.maxLength} characters, got ${text.length}`;
+        return null;
+    }
+
+    /**
+     * Works out how one field would be written, without touching it.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {number} rowIndex - The row the value is meant for.
+     * @param {number|null} checkedRowIndex - The row whose element is inspected (differs for rows not added yet).
+     * @param {string} key - The key identifying the field.
+     * @param {*} value - The value that would be written.
+     * @returns {object} `{ key, name, value, action, reason?, element?, mismatch? }`; action is 'type', 'set',
+     *   'handler' (the adapter's fill handler) or 'skip' with a reason ('readonly', 'missing', 'unmapped').
+     */
+    function planField(adapter, rowIndex, checkedRowIndex, key, value) {
+        const fieldName = getColumnName(adapter, rowIndex, key);
+        const field = { key, name: fieldName || null, value };
+        if (!fieldName) return { ...field, action: 'skip', reason: FILL_STATUS.unmapped };
+        const element = checkedRowIndex != null ? getElementByName(getColumnName(adapter, checkedRowIndex, key)) : null;
+        if (!element) return { ...field, action: 'skip', reason: FILL_STATUS.missing };
+
+        const type = (element.type || '').toLowerCase();
+        const visible = isElementVisible(element) && type !== 'hidden';
+        const readonly = !!(element.readOnly || element.hasAttribute('readonly'));
+        field.element = { tag: element.tagName.toLowerCase(), type, visible, readonly, disabled: !!element.disabled };
+        const handler = (adapter.fieldHandlers && adapter.fieldHandlers[key]) || {};
+        if (readonly && handler.fill === fillUnlessReadonly) return { ...field, action: 'skip', reason: FILL_STATUS.readonly };
+        field.action = typeof handler.fill === 'function' ? 'handler' : (visible ? 'type' : 'set');
+        const mismatch = describeTypeMismatch(element, value);
+        if (mismatch) field.mismatch = mismatch;
+        return field;
+    }
+
+    /**
+     * Plans a $addRows run: which form row each input row would go to and how each field would be written.
+     * Reads the form only; no row is added and no event is fired. Rows that would be added are checked
+     * against the last row already on the form.
+     * @param {FormAdapter} adapter - The active adapter.
+     * @param {Array<object>} rows - The rows passed to $addRows.
+     * @param {Array<number>} pending - Indexes into `rows` that would be added.
+     * @param {{ emptyRows: Array<number>, merge: object|null, mergeIndex: Map|null, rejected: Array<object> }} context
+     * @returns {Promise<object>} The plan (see $addRows `dryRun`). beforeAddRow runs with `{ dryRun: true }` as
+     *   its context so handlers can skip side effects; rows it vetoes are listed in `skipped`.
+     */
+    async function planRows(adapter, rows, pending, { emptyRows, merge, mergeIndex, rejected }) {
+        const lastRowIndex = getCurrentRowIndex(adapter);
+        const templateRowIndex = Number.isFinite(lastRowIndex) && lastRowIndex > 0 ? lastRowIndex : null;
+        let nextRowIndex = templateRowIndex || 0;
+        const freeRows = emptyRows.slice();
+        const plan = {
+            dryRun: true,
+            adapter: adapter.id,
+            canAddRows: typeof adapter.addRow === 'function' || !!(adapter.addRowSelector && querySelector(adapter.addRowSelector)),
+            rows: [],
+            writes: [],
+            missing: [],
+            mismatches: [],
+            skipped: [],
+            ...(rejected.length ? { rejected } : {}),
+        };
+        for (const i of pending) {
+            const payload = await runHook('beforeAddRow', rows[i] || {}, i, { dryRun: true });
+            if (!payload) {
+                plan.skipped.push({ index: i, row: rows[i] });
+                continue;
+            }
+            const mergeKey = merge ? toMergeKey(payload, merge.keyFields) : null;
+            const matchedRowId = mergeKey != null ? mergeIndex.get(mergeKey) : undefined;
+            let target = 'new';
+            let rowId;
+            let data = payload;
+            if (matchedRowId != null) {
+                target = 'merge';
+                rowId = matchedRowId;
+                data = buildMergeUpdate(adapter, rowId, payload, merge);
+            } else if (freeRows.length) {
+                target = 'empty';
+                rowId = freeRows.shift();
+            } else {
+                rowId = ++nextRowIndex;
+                if (mergeKey != null) mergeIndex.set(mergeKey, rowId);
+            }
+            const checkedRowId = target === 'new' ? templateRowIndex : rowId;
+            const fields = [];
+            for (const key of adapter.fillOrder || FIELD_FILL_ORDER) {
+                if (!(key in data) || data[key] == null) continue;
+                const field = planField(adapter, rowId, checkedRowId, key, data[key]);
+                fields.push(field);
+                const entry = { index: i, rowId, ...field };
+                if (field.action !== 'skip') plan.writes.push(entry);
+                if (field.reason === FILL_STATUS.missing || field.reason === FILL_STATUS.unmapped) plan.missing.push(entry);
+                if (field.mismatch) plan.mismatches.push(entry);
+            }
+            plan.rows.push({ index: i, rowId, target, checkedRowId, fields });
+        }
+        return plan;
+    }
+
+    // ==========================================================================================
+    // SECTION: Import Journal
+    // ==========================================================================================
+
+    /**
+     * One entry per $addRows call (plus header values from $fillHeader), newest last.
+     * rows: Array<{ rowId, created, changes: Array<{ name, previous, written }> }>, header: same change shape.
+     */
+    const importJournal = [];
+    /** The entry of the latest $addRows call, which $fillHeader's joinLastImport attaches to. */
+    let lastRowsEntry = null;
+
+    /**
+     * Starts a journal entry, dropping the oldest one beyond JOURNAL_LIMIT.
+     * @param {FormAdapter} adapter - The adapter used for the import.
+     * @param {boolean} [journaled=true] - False returns an entry that is never added to the journal.
+     * @returns {object} The new entry.
+     */
+    function startJournalEntry(adapter, journaled = true) {
+        const entry = { at: new Date().toISOString(), adapterId: adapter.id, rows: [], header: [] };
+        if (!journaled) return entry;
+        importJournal.push(entry);
+        if (importJournal.length > JOURNAL_LIMIT) importJournal.shift();
+        return entry;
+    }
+
+    /** Removes an entry that ended up recording nothing. */
+    function discardIfEmpty(entry) {
+        if (entry && !entry.rows.length && !entry.header.length) {
+            const at = importJournal.indexOf(entry);
+            if (at !== -1) importJournal.splice(at, 1);
+        }
+    }
+
+    /**
+     * Puts back the value a field held before the import. A field the user has changed since is left alone
+     * (reported as a conflict) unless `force` is set.
+     * @returns {boolean} True if the value was restored.
+     */
+    function restoreChange(change, force, report) {
+        const element = getElementByName(change.name);
+        if (!element) return false;
+        if (!force && readElementValue(element) !== change.written) {
+            report.conflicts.push(change.name);
+            return false;
+        }
+        setValueDirectly(element, change.previous);
+        report.restored++;
+        return true;
+    }
+
+    /**
+     * Reverts the most recent import: rows it added are removed (adapter.removeRow) or cleared, and values it
+     * overwrote in existing rows and header inputs are restored.
+     * @param {{ force?: boolean }} [options] - force: also revert fields edited after the import.
+     * @returns {Promise<{ undone: boolean, restored: number, removed: number, conflicts: Array<string> }>}
+     */
+    async function undoLastImport(options) {
+        const force = !!(options && options.force);
+        const report = { undone: false, restored: 0, removed: 0, conflicts: [] };
+        const entry = importJournal.pop();
+        if (!entry) return report;
+        const adapter = adapterRegistry.get(entry.adapterId) || resolveAdapter();
+
+        for (const change of entry.header.slice().reverse()) restoreChange(change, force, report);
+        for (const row of entry.rows.slice().reverse()) {
+            const untouched = row.changes.every(change => readElementValue(getElementByName(change.name)) === change.written);
+            if (row.created && typeof adapter.removeRow === 'function' && (untouched || force)) {
+                await adapter.removeRow(row.rowId, { adapter, ...ADAPTER_HELPERS });
+                report.removed++;
+                continue;
+            }
+            for (const change of row.changes.slice().reverse()) restoreChange(change, force, report);
+        }
+        report.undone = true;
+        if (report.conflicts.length) {
+            console.warn('Undo left fields that were edited after the import:', report.conflicts);
+        }
+        return report;
     }
 
     // ==========================================================================================
@@ -468,31 +1175,278 @@
     // ==========================================================================================
 
     /**
-     * Public API to add multiple rows to the form.
-     * @param {Array<object>} rows - An array of row data objects.
-     * @param {{ onProgress?: (current:number, total:number) => void }} [options] - Optional hooks.
-     * @returns {Promise<Array<number|null>>} A list of the new row IDs.
+     * Public API to read the lines already on the form back into row objects (the reverse of $addRows).
+     * Walks rows 1..last through the adapter's field map, skipping rows hidden by the host (e.g. deleted lines).
+     * @param {{ adapter?: string|FormAdapter, includeEmpty?: boolean }} [options]
+     *   adapter: form adapter id or definition; includeEmpty: also return blank rows.
+     * @returns {Array<object>} FIELD_SPEC-shaped rows (checkboxes as booleans, numbers parsed), each with
+     *   `_rowId` set to its form row number.
+     */
+    window.$readRows = function (options) {
+        const opts = options || {};
+        const adapter = resolveAdapter(opts.adapter);
+        const lastRowIndex = getCurrentRowIndex(adapter);
+        if (!Number.isFinite(lastRowIndex)) return [];
+        const keys = Object.keys(adapter.fields);
+        const normalize = window.aiOcrUtils ? window.aiOcrUtils.normalizeAndValidate : null;
+        const rows = [];
+        for (let rowIndex = 1; rowIndex <= lastRowIndex; rowIndex++) {
+            if (adapter.rowIdTemplate) {
+                const rowElement = document.getElementById(adapter.rowIdTemplate.replace(/\{n\}/g, String(rowIndex)));
+                if (!rowElement || !isElementVisible(rowElement)) continue;
+            }
+            const values = readRowValues(adapter, rowIndex, keys);
+            if (!Object.keys(values).length) continue;
+            if (!opts.includeEmpty && isRowEmpty(adapter, rowIndex)) continue;
+            const row = normalize ? normalize([values], { decimal: '.' })[0] : values;
+            row._rowId = rowIndex;
+            rows.push(row);
+        }
+        return rows;
+    };
+
+    /**
+     * Public API to fill document header inputs on the host form.
+     * Empty values and keys without a matching element are skipped.
+     * @param {object} header - Header values keyed like HEADER_SPEC (supplier_name, doc_no, ...).
+     * @param {{ nameMap?: Record<string, string|null>, adapter?: string|FormAdapter, joinLastImport?: boolean, journal?: boolean }} [options]
+     *   nameMap: per-call name overrides; adapter: form adapter id or definition (see aiOcrFormAdapters);
+     *   joinLastImport: journal the header with the preceding $addRows call so one undo reverts both;
+     *   journal: false leaves the call out of the undo journal.
+     * @returns {Promise<Array<string>>} The header keys that were written.
+     */
+    window.$fillHeader = async function (header, options) {
+        if (!header || typeof header !== 'object') return [];
+        const adapter = resolveAdapter(options && options.adapter);
+        const lastEntry = importJournal[importJournal.length - 1];
+        const canJoin = options && options.joinLastImport && lastEntry && lastEntry === lastRowsEntry;
+        const entry = canJoin ? lastEntry : startJournalEntry(adapter, !options || options.journal !== false);
+        const filled = [];
+        for (const [key, value] of Object.entries(header)) {
+            if (value == null || value === '') continue;
+            const fieldName = getHeaderColumnName(adapter, key, options && options.nameMap);
+            const element = fieldName ? getElementByName(fieldName) : null;
+            if (!element) continue;
+            const change = { name: fieldName, previous: readElementValue(element) };
+            await fillElement(element, value);
+            change.written = readElementValue(element);
+            entry.header.push(change);
+            filled.push(key);
+            await sleep(12);
+        }
+        discardIfEmpty(entry);
+        return filled;
+    };
+
+    /**
+     * Public API to add and fill one form row per row object.
+     * Each row first goes through the `beforeAddRow(row, index, { dryRun })` hook, which may change or veto it;
+     * `afterAddRow(row, index, rowId)` runs once it is on the form (see AI_OCR.on in ocr-utils.js).
+     * @param {Array<object>} rows - Row objects keyed like FIELD_FILL_ORDER.
+     * @param {object} [options]
+     * @param {(index: number, total: number) => void} [options.onProgress] - Called before each row (1-based).
+     * @param {boolean} [options.rejectInvalid] - Skip rows that fail aiOcrUtils.validateRow (errors only).
+     * @param {object} [options.validation] - Tolerance/GST overrides passed to validateRow.
+     * @param {AbortSignal} [options.signal] - Stops the run between rows and between fields.
+     * @param {number} [options.startIndex=0] - Index into `rows` to start from, e.g. a previous run's `nextIndex`.
+     * @param {() => (Promise<void>|void)} [options.pauseGate] - Awaited before each row; resolve it to continue.
+     * @param {string|FormAdapter} [options.adapter] - Form adapter id or definition (default: config or 'po').
+     * @param {boolean} [options.fillEmptyRows=true] - Fill blank rows already on the form before adding new ones.
+     * @param {boolean|object} [options.merge] - Update existing rows that match on a key instead of appending
+     *   duplicates: `true`, or `{ key: 'code'|'code+uom'|string[], quantity: 'replace'|'sum'|'skip', fields }`.
+     *   Defaults to `AI_OCR.config.merge`.
+     * @param {boolean} [options.journal=true] - False leaves the run out of the undo journal (e.g. demo or
+     *   template rows the user did not import).
+     * @param {boolean} [options.stopOnError=false] - End the run at the first row that cannot be added, so it can
+     *   be resumed from `nextIndex`. By default a failed row gets `null` in the result and the run continues.
+     * @param {boolean} [options.dryRun] - Only inspect the form and resolve with a plan instead of row ids:
+     *   { dryRun, adapter, canAddRows, rows: [{ index, rowId, target: 'new'|'empty'|'merge', checkedRowId, fields }],
+     *   writes, missing, mismatches, skipped, rejected? }. The DOM is not changed and no events are fired.
+     * @returns {Promise<Array<number|null>>} The new row ids for this run (null for a row that failed), with
+     *   extra properties:
+     *   - completed: boolean       every row from startIndex was added
+     *   - aborted: boolean         the signal stopped the run
+     *   - nextIndex: number        index into `rows` to resume from (rows.length once every row was tried)
+     *   - partialRowId: number|null  form row that was stopped part-way and may need clearing
+     *   - error: Error|null        the first failure (with stopOnError: why the row at nextIndex was not added)
+     *   - failed?: Array<{ index, row, error }>   rows that could not be added (index into `rows`)
+     *   - rejected?: Array<{ index, row, errors }>  rows refused by rejectInvalid (index into `rows`)
+     *   - skipped?: Array<{ index, row }>   rows vetoed by the beforeAddRow hook
+     *   - updated?, added?: Array<{ index, rowId }>   with `merge`: matched rows updated / rows appended
+     *   - report: Array<{ index, rowId, fields: FieldResult[] }>   what happened to every field of every row
+     *   - summary: Object<string, number>   count of field results per FILL_STATUS
      */
     window.$addRows = async function (rows, options) {
         if (!Array.isArray(rows) || rows.length === 0) {
             console.warn('Pass an array of row objects to $addRows([...]).');
             return [];
         }
-        const total = rows.length;
-        const onProgress = options && typeof options.onProgress === 'function' ? options.onProgress : null;
+        const opts = options || {};
+        const adapter = resolveAdapter(opts.adapter);
+        const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+        const pauseGate = typeof opts.pauseGate === 'function' ? opts.pauseGate : null;
+        const signal = opts.signal || null;
+        const startIndex = Math.max(0, Math.min(parseInt(opts.startIndex, 10) || 0, rows.length));
+        const validateRow = window.aiOcrUtils && window.aiOcrUtils.validateRow;
+        if (opts.rejectInvalid && !validateRow) {
+            console.warn('rejectInvalid needs ocr-utils.js; adding rows without validation.');
+        }
+
+        const pending = [];
+        const rejected = [];
+        for (let i = startIndex; i < rows.length; i++) {
+            const result = opts.rejectInvalid && validateRow ? validateRow(rows[i] || {}, opts.validation) : null;
+            if (result && !result.valid) {
+                rejected.push({ index: i, row: rows[i], errors: result.errors });
+            } else {
+                pending.push(i);
+            }
+        }
+        if (rejected.length) {
+            console.warn(`$addRows refused ${rejected.length} invalid row(s):`, rejected);
+        }
+
+        // Blank rows (e.g. the empty first row of a new document) are used up before any row is added
+        const emptyRows = opts.fillEmptyRows !== false && pending.length ? findEmptyRows(adapter) : [];
+        const merge = resolveMergeOptions(opts.merge !== undefined ? opts.merge : window.aiOcrUtils?.getConfig('merge', null));
+        const mergeIndex = merge ? indexExistingRows(adapter, merge.keyFields) : null;
+        if (opts.dryRun) return planRows(adapter, rows, pending, { emptyRows, merge, mergeIndex, rejected });
+        const updated = [];
+        const appended = [];
+        const journal = startJournalEntry(adapter, opts.journal !== false);
+        const report = [];
+        const summary = Object.fromEntries(Object.values(FILL_STATUS).map(status => [status, 0]));
 
         const newRowIds = [];
-        let index = 0;
-        for (const payload of rows) {
-            index++;
+        let nextIndex = rows.length;
+        let aborted = false;
+        let partialRowId = null;
+        let error = null;
+        const skipped = [];
+        const failed = [];
+        for (let n = 0; n < pending.length; n++) {
+            const i = pending[n];
+            if (pauseGate) await pauseGate();
+            if (signal && signal.aborted) {
+                aborted = true;
+                nextIndex = i;
+                break;
+            }
             if (onProgress) {
-                try { onProgress(index, total); } catch (_) {}
+                try { onProgress(n + 1, pending.length); } catch (_) {}
+            }
+            let payload;
+            try {
+                payload = await runHook('beforeAddRow', rows[i] || {}, i, { dryRun: false });
+            } catch (e) {
+                error = error || e;
+                if (opts.stopOnError) {
+                    nextIndex = i;
+                    break;
+                }
+                failed.push({ index: i, row: rows[i], error: e });
+                newRowIds.push(null);
+                continue;
+            }
+            if (!payload) {
+                skipped.push({ index: i, row: rows[i] });
+                continue;
+            }
+            const mergeKey = merge ? toMergeKey(payload, merge.keyFields) : null;
+            const matchedRowId = mergeKey != null ? mergeIndex.get(mergeKey) : undefined;
+            const record = { changes: [], fields: [] };
+            let created = false;
+            let added;
+            let rowError = null;
+            try {
+                if (matchedRowId != null) {
+                    const complete = await fillRow(adapter, matchedRowId, buildMergeUpdate(adapter, matchedRowId, payload, merge), signal, record);
+                    console.log(complete ? '🔁 Updated matching row' : '⏹ Stopped part-way through row', matchedRowId);
+                    added = { rowId: matchedRowId, complete };
+                } else if (emptyRows.length) {
+                    added = await fillExistingRow(adapter, emptyRows.shift(), payload, signal, record);
+                } else {
+                    created = true;
+                    added = await addOneRowAndFill(adapter, payload, signal, record);
+                }
+            } catch (e) {
+                rowError = e;
+                added = { rowId: null, complete: false };
+            }
+            if (added.rowId != null) {
+                journal.rows.push({ rowId: added.rowId, created, changes: record.changes });
+                report.push({ index: i, rowId: added.rowId, fields: record.fields });
+                for (const field of record.fields) summary[field.status] = (summary[field.status] || 0) + 1;
+            }
+            if (added.rowId == null) {
+                rowError = rowError || new Error(`Row ${i + 1} could not be added to the form.`);
+                error = error || rowError;
+                if (opts.stopOnError) {
+                    nextIndex = i;
+                    break;
+                }
+                failed.push({ index: i, row: rows[i], error: rowError });
+                newRowIds.push(null);
+                continue;
+            }
+            if (!added.complete) {
+                aborted = true;
+                partialRowId = added.rowId;
+                nextIndex = i;
+                break;
+            }
+            newRowIds.push(added.rowId);
+            if (matchedRowId != null) {
+                updated.push({ index: i, rowId: added.rowId });
+            } else if (merge) {
+                appended.push({ index: i, rowId: added.rowId });
+                // Later duplicates in the same batch merge into this row
+                if (mergeKey != null) mergeIndex.set(mergeKey, added.rowId);
+            }
+            try {
+                await runHook('afterAddRow', payload, i, added.rowId);
+            } catch (e) {
+                console.warn('afterAddRow hook failed:', e);
+                notifyError(e, { stage: 'afterAddRow', index: i, rowId: added.rowId });
             }
-            const newRowId = await addOneRowAndFill(payload || {});
-            newRowIds.push(newRowId);
             await sleep(60);
         }
-        return newRowIds;
+        if (error) notifyError(error, { stage: 'addRows', index: failed.length ? failed[0].index : nextIndex });
+        discardIfEmpty(journal);
+        if (opts.journal !== false) lastRowsEntry = journal;
+        return Object.assign(newRowIds, {
+            report,
+            summary,
+            completed: nextIndex === rows.length && !failed.length,
+            aborted,
+            nextIndex,
+            partialRowId,
+            error,
+            ...(rejected.length ? { rejected } : {}),
+            ...(skipped.length ? { skipped } : {}),
+            ...(failed.length ? { failed } : {}),
+            ...(merge ? { updated, added: appended } : {}),
+        });
+    };
+
+    registerAdapter(PO_ADAPTER);
+
+    /**
+     * Form adapter registry. Register host screens before calling $addRows / $fillHeader:
+     *   aiOcrFormAdapters.register({ id: 'grn', extends: 'po', fields: { qty: 'grn_qty{n}' } });
+     *   $addRows(rows, { adapter: 'grn' });   // or AI_OCR.config.formAdapter = 'grn'
+     */
+    window.aiOcrFormAdapters = {
+        register: registerAdapter,
+        get: (id) => adapterRegistry.get(id) || null,
+        list: () => Array.from(adapterRegistry.values()),
+        resolve: resolveAdapter,
+        helpers: ADAPTER_HELPERS,
     };
 
-})();
\ No newline at end of file
+    // Undo is part of the library surface (the loader has already created AI_OCR when this file runs)
+    window.AI_OCR = window.AI_OCR || {};
+    window.AI_OCR.undoLast = undoLastImport;
+    window.AI_OCR.canUndo = () => importJournal.length > 0;
+
+})();
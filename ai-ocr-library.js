@@ -16,8 +16,10 @@
 
   const files = [
     'ocr-utils.js',
+    'ocr-providers.js',
     'csv-import.js',
     'add_rows.js',
+    'review-grid.js',
     'ocr.js'
   ];
 
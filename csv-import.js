@@ -1,20 +1,39 @@
 /**
  * @file csv-import.js
- * @description Client-side CSV importer with enhanced live header→field mapping, fuzzy autosuggest,
+ * @description Client-side CSV and Excel importer with enhanced live header→field mapping, fuzzy autosuggest,
  *              live preview, and localStorage mapping profiles.
  *
  * Exposes window.aiOcrCsv with:
  *  - loadPapaParse(): Promise<Papa>
- *  - parseCsvFile(file): Promise<{ data: Array<object>, meta: { fields: string[] } }>
+ *  - parseCsvFile(file): Promise<{ data: Array<object>, meta: { fields: string[] } }>   // PapaParse, or the built-in
+ *      parser when PapaParse cannot load or AI_OCR.config.offline is set
+ *  - parseCsvText(text, { delimiter? }): { data, meta: { fields, delimiter } }    // built-in, no dependencies
+ *  - isSpreadsheetFile(file): boolean                  // .xlsx / .xls / .xlsm
+ *  - readWorkbook(file): Promise<{ workbook, sheetNames: string[] }>
+ *  - readSheetTable(workbook, sheetName): Array<Array<string>>   // cells as displayed, '' for blanks
+ *  - guessHeaderRow(table): number                     // 0-based; skips title rows above the table
+ *  - tableToRecords(table, headerRow): { data: Array<object>, meta: { fields: string[] } }   // parseCsvFile shape
+ *  - renderSheetPicker(containerEl, { sheetNames, sheet, headerRow, table, onChange }): { getSelection() }
  *  - buildDefaultMapping(csvHeaders: string[], targetFields: string[]): Record<string,string|null>            // legacy (target->header)
  *  - buildDefaultReverseMapping(csvHeaders: string[], targetFields: string[]): Record<string,string|null>     // new (header->target)
- *  - renderMappingUI(containerEl, csvHeaders, targetFields, initialHeaderToTarget, onChange, previewRows)
- *  - applyMapping(rows, mapping): Array<object>        // accepts header->target or target->header
+ *  - renderMappingUI(containerEl, csvHeaders, targetFields, initialHeaderToTarget, onChange, previewRows, initialTransforms)
+ *      onChange(mapping, transforms); returns { getMapping(), getTransforms() }
+ *  - applyMapping(rows, mapping, transforms?): Array<object>   // accepts header->target or target->header
+ *  - applyTransform(row, transform, mappedSource, decimals?): string|number   // multiply gives a number
+ *  - TRANSFORM_TYPES: string[]                         // concat, split, regex, constant, multiply, trim, upper
  *  - toTargetSourceMapping(mapping): Record<string,string>  // convert to target->header map (for downstream use)
  *  - listProfiles(): string[]
- *  - saveProfile(name, mapping, headers): void
- *  - loadProfile(name): { mapping, headers } | null
+ *  - saveProfile(name, mapping, headers, transforms?): void
+ *  - loadProfile(name): { mapping, headers, transforms } | null
  *  - deleteProfile(name): void
+ *  - loadSheetJs(): Promise<XLSX>
+ *  - rowsToCsv(rows, fields?): string                  // FIELD_ORDER columns, loads back through parseCsvFile
+ *  - rowsToJson(rows, header?): string                 // rows array, or { header, items } with a header
+ *  - exportRows(rows, format, { header?, filename? }): Promise<string>   // 'csv' | 'json' | 'xlsx'; downloads, returns the file name
+ *
+ * Transforms are keyed by target field, e.g. { desc_long: { type: 'concat', sources: ['Description 1', 'Description 2'] },
+ * uom: { type: 'split', source: 'Qty UOM', part: 2 }, gst: { type: 'constant', value: '1' } }. Without `source` a
+ * transform reads the column mapped to its field.
  */
 (function () {
   const global = (typeof window !== 'undefined') ? window : globalThis;
@@ -33,6 +52,7 @@
       .ai-ocr-csv-mapping th { background: #f7f7f7; position: sticky; top: 0; z-index: 1; }
       .ai-ocr-csv-mapping select { width: 100%; box-sizing: border-box; }
       .ai-ocr-csv-preview { margin-top: 12px; max-height: 260px; overflow: auto; border: 1px solid #eee; }
+      .ai-ocr-csv-preview td.danger { color: #B00020; background: #FDECEA; }
       .ai-ocr-csv-help { font-size: 12px; color: #555; margin: 6px 0; }
       .ai-ocr-csv-badge { display:inline-block; padding:2px 6px; font-size:11px; border-radius:4px; background:#eef; color:#225; margin-left:6px; }
       .ai-ocr-csv-toolbar { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin: 8px 0; }
@@ -42,23 +62,45 @@
       .ai-ocr-csv-stats .danger { color: #B00020; font-weight: 600; }
       .ai-ocr-csv-stats .ok { color: #2E7D32; }
       .ai-ocr-csv-note { font-size: 11px; color: #666; }
+      .ai-ocr-csv-transforms { margin-top: 10px; }
+      .ai-ocr-csv-transforms td label { display: inline-flex; align-items: center; gap: 4px; margin-right: 8px; font-size: 12px; }
+      .ai-ocr-csv-transforms td select[multiple] { width: auto; min-width: 140px; }
+      .ai-ocr-csv-sheet table { border-collapse: collapse; font-size: 12px; }
+      .ai-ocr-csv-sheet td, .ai-ocr-csv-sheet th { border: 1px solid #eee; padding: 3px 6px; white-space: nowrap; cursor: pointer; }
+      .ai-ocr-csv-sheet th { color: #888; font-weight: normal; }
+      .ai-ocr-csv-sheet tr.ai-ocr-csv-header-row td { background: #eef; font-weight: 600; }
+      .ai-ocr-csv-sheet tr.ai-ocr-csv-skipped-row td { color: #aaa; text-decoration: line-through; }
     `;
     document.head.appendChild(style);
   }
 
+  // A blocked CDN can hang instead of failing; give up after this long and remember the failure
+  const PAPA_LOAD_TIMEOUT_MS = 8000;
+  let papaLoadFailed = false;
+
   async function loadPapaParse() {
     injectStyles();
     if (global.Papa) return global.Papa;
+    if (papaLoadFailed) throw new Error('PapaParse is unavailable');
     // Load from CDN
-    await new Promise((resolve, reject) => {
-      const s = document.createElement('script');
-      s.src = 'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js';
-      s.async = true;
-      s.onload = resolve;
-      s.onerror = reject;
-      document.head.appendChild(s);
-    });
-    if (!global.Papa) throw new Error('PapaParse failed to load');
+    try {
+      await new Promise((resolve, reject) => {
+        const s = document.createElement('script');
+        s.src = 'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js';
+        s.async = true;
+        const timer = setTimeout(() => reject(new Error('Timed out loading PapaParse')), PAPA_LOAD_TIMEOUT_MS);
+        s.onload = () => { clearTimeout(timer); resolve(); };
+        s.onerror = () => { clearTimeout(timer); reject(new Error('PapaParse failed to load')); };
+        document.head.appendChild(s);
+      });
+    } catch (e) {
+      papaLoadFailed = true;
+      throw e;
+    }
+    if (!global.Papa) {
+      papaLoadFailed = true;
+      throw new Error('PapaParse failed to load');
+    }
     return global.Papa;
   }
 
@@ -70,10 +112,107 @@
       .replace(/^_+|_+$/g, '');
   }
 
-  function parseCsvFile(file) {
-    return new Promise(async (resolve, reject) => {
+  // ---------------- Built-in CSV parser ----------------
+  const DELIMITERS = [',', ';', '\t'];
+
+  // RFC 4180 style: a field starting with a quote may hold delimiters, line breaks and "" escapes.
+  // CRLF, LF and CR all end a line.
+  function splitCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch !== '"') {
+          field += ch;
+        } else if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // Picks the delimiter that splits the first lines into the same, widest number of columns
+  function detectDelimiter(text) {
+    const sample = text.slice(0, 20000);
+    let best = ',';
+    let bestScore = 0;
+    for (const d of DELIMITERS) {
+      const widths = splitCsvRows(sample, d)
+        .slice(0, 20)
+        .filter(r => r.some(v => v.trim() !== ''))
+        .map(r => r.length);
+      if (!widths.length || widths[0] < 2) continue;
+      const score = widths[0] * (widths.filter(n => n === widths[0]).length / widths.length);
+      if (score > bestScore) {
+        best = d;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  function parseCsvText(text, { delimiter } = {}) {
+    const clean = String(text ?? '').replace(/^\ufeff/, '');
+    const used = delimiter || detectDelimiter(clean);
+    const { data, meta } = tableToRecords(splitCsvRows(clean, used), 0);
+    return { data, meta: { fields: meta.fields, delimiter: used } };
+  }
+
+  function readFileText(file) {
+    if (typeof file.text === 'function') return file.text();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ''));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
+  function isOffline() {
+    return !!global.aiOcrUtils?.getConfig('offline', false);
+  }
+
+  async function parseCsvFile(file) {
+    injectStyles();
+    if (!isOffline()) {
+      let Papa = null;
+      try {
+        Papa = await loadPapaParse();
+      } catch (e) {
+        console.warn('PapaParse could not be loaded; using the built-in CSV parser.', e);
+      }
+      if (Papa) return parseWithPapa(Papa, file);
+    }
+    return parseCsvText(await readFileText(file));
+  }
+
+  function parseWithPapa(Papa, file) {
+    return new Promise((resolve, reject) => {
       try {
-        const Papa = await loadPapaParse();
         Papa.parse(file, {
           header: true,
           skipEmptyLines: true,
@@ -115,6 +254,7 @@
     rqt_day: ['rqt_day','day','req_day'],
     rqt_mth: ['rqt_mth','month','req_month','mth'],
     rqt_yr: ['rqt_yr','year','req_year','yr'],
+    rqt_date: ['rqt_date','date','req_date','required_date','delivery_date','due_date','need_by','date_required'],
     batchnum: ['batchnum','batch_no','batch','lot','lot_no'],
   };
 
@@ -215,19 +355,88 @@
     return out;
   }
 
-  function applyMapping(rows, mapping) {
+  function applyMapping(rows, mapping, transforms = {}) {
     const tgtToSrc = toTargetSourceMapping(mapping);
     const fields = getKnownTargetFields();
+    const decimals = sourceDecimals(rows, tgtToSrc, transforms || {});
     return rows.map(row => {
       const out = {};
       for (const f of fields) {
         const src = tgtToSrc[f];
-        out[f] = (src && src in row) ? row[src] : '';
+        if (transforms && transforms[f]) {
+          out[f] = applyTransform(row, transforms[f], src, decimals);
+        } else {
+          out[f] = (src && src in row) ? row[src] : '';
+        }
       }
       return out;
     });
   }
 
+  // ---------------- Column transforms ----------------
+  const TRANSFORM_TYPES = Object.freeze(['concat', 'split', 'regex', 'constant', 'multiply', 'trim', 'upper']);
+
+  function toNumber(value, decimal) {
+    const utils = global.aiOcrUtils;
+    const n = utils ? utils.normalizeNumber(value, { decimal }) : parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // Decimal separator per source column of the numeric fields and `multiply` inputs, detected the way
+  // normalizeAndValidate does for mapped columns, so a transformed column reads its numbers the same way
+  function sourceDecimals(rows, tgtToSrc, transforms) {
+    const utils = global.aiOcrUtils;
+    const multiplied = Object.entries(transforms).filter(([, t]) => t && t.type === 'multiply');
+    if (!utils?.resolveDecimals || !multiplied.length) return {};
+    const sources = utils.FIELD_SPEC.number.map(f => tgtToSrc[f])
+      .concat(multiplied.map(([f, t]) => t.source || tgtToSrc[f]))
+      .filter(Boolean);
+    return utils.resolveDecimals(rows, [...new Set(sources)]);
+  }
+
+  // Computes one target value from a CSV record; a bad regex or non-numeric input gives ''. `multiply`
+  // returns a number (normalizeAndValidate keeps it as is), parsed with the source column's separator.
+  function applyTransform(row, transform, mappedSource, decimals = {}) {
+    const read = (h) => (h && row && h in row ? String(row[h] ?? '') : '');
+    const source = transform?.source || mappedSource;
+    switch (transform?.type) {
+      case 'concat': {
+        const sources = transform.sources?.length ? transform.sources : [mappedSource];
+        return sources.map(h => read(h).trim()).filter(Boolean).join(transform.separator ?? ' ');
+      }
+      case 'split': {
+        const text = read(source).trim();
+        const parts = transform.separator ? text.split(transform.separator) : text.split(/\s+/);
+        const part = parseInt(transform.part, 10) || 1;
+        return (parts[part > 0 ? part - 1 : parts.length + part] ?? '').trim();
+      }
+      case 'regex': {
+        let match = null;
+        try {
+          match = read(source).match(new RegExp(transform.pattern || '', 'i'));
+        } catch (_) {
+          return '';
+        }
+        if (!match) return '';
+        const group = transform.group == null || transform.group === '' ? 1 : parseInt(transform.group, 10);
+        return String(match[group] ?? match[0]).trim();
+      }
+      case 'constant':
+        return transform.value == null ? '' : String(transform.value);
+      case 'multiply': {
+        const n = toNumber(read(source), decimals[source]);
+        const factor = toNumber(transform.factor);
+        return n == null || factor == null ? '' : Math.round(n * factor * 1e6) / 1e6;
+      }
+      case 'trim':
+        return read(source).replace(/\s+/g, ' ').trim();
+      case 'upper':
+        return read(source).trim().toUpperCase();
+      default:
+        return read(source);
+    }
+  }
+
   // Mapping profile persistence
   const PROFILE_PREFIX = 'ai_ocr_csv_profile::';
 
@@ -235,13 +444,14 @@
     const keys = Object.keys(localStorage);
     return keys.filter(k => k.startsWith(PROFILE_PREFIX)).map(k => k.slice(PROFILE_PREFIX.length));
   }
-  function saveProfile(name, mapping, headers) {
+  function saveProfile(name, mapping, headers, transforms) {
     if (!name) return;
     const payload = {
       mapping,           // header -> target (preferred)
       headers: headers || [],
+      transforms: transforms || {},   // target -> transform
       savedAt: new Date().toISOString(),
-      version: 1
+      version: 2
     };
     localStorage.setItem(PROFILE_PREFIX + name, JSON.stringify(payload));
   }
@@ -263,19 +473,21 @@
   function getKnownTargetFields() {
     if (global.aiOcrUtils && global.aiOcrUtils.FIELD_SPEC) {
       const F = global.aiOcrUtils.FIELD_SPEC;
-      return [...F.string, ...F.number, ...F.boolean];
+      // DATE_FIELD is a mapping target only; normalizeAndValidate splits it into rqt_day/rqt_mth/rqt_yr
+      return [...F.string, ...F.number, ...F.boolean, ...(global.aiOcrUtils.DATE_FIELD ? [global.aiOcrUtils.DATE_FIELD] : [])];
     }
     // fallback
     return Object.keys(SYNONYMS);
   }
 
-  function renderMappingUI(containerEl, csvHeaders, targetFields, initialHeaderToTarget, onChange, previewRows = []) {
+  function renderMappingUI(containerEl, csvHeaders, targetFields, initialHeaderToTarget, onChange, previewRows = [], initialTransforms = {}) {
     injectStyles();
     if (!containerEl) return;
     containerEl.innerHTML = '';
     containerEl.classList.add('ai-ocr-csv-mapping');
 
     const selected = { ...(initialHeaderToTarget || {}) };
+    let transforms = { ...(initialTransforms || {}) };
     const wrap = document.createElement('div');
 
     // Helper to ensure selected has all headers present
@@ -366,6 +578,23 @@
     table.appendChild(tbody);
     wrap.appendChild(table);
 
+    // Transforms (per target field)
+    const transformSection = document.createElement('div');
+    transformSection.className = 'ai-ocr-csv-transforms';
+    const transformTitle = document.createElement('div');
+    transformTitle.className = 'ai-ocr-csv-help';
+    transformTitle.textContent = 'Transforms: combine, split, extract, scale or fix values; a transform replaces the plain mapping for its field.';
+    const transformTable = document.createElement('table');
+    const transformBody = document.createElement('tbody');
+    transformTable.appendChild(transformBody);
+    const btnAddTransform = document.createElement('button');
+    btnAddTransform.type = 'button';
+    btnAddTransform.textContent = 'Add transform';
+    transformSection.appendChild(transformTitle);
+    transformSection.appendChild(transformTable);
+    transformSection.appendChild(btnAddTransform);
+    wrap.appendChild(transformSection);
+
     // Preview
     const preview = document.createElement('div');
     preview.className = 'ai-ocr-csv-preview';
@@ -415,7 +644,7 @@
     btnSave.addEventListener('click', () => {
       const name = nameInput.value.trim();
       if (!name) { alert('Enter a profile name to save.'); return; }
-      saveProfile(name, { ...selected }, csvHeaders.slice());
+      saveProfile(name, { ...selected }, csvHeaders.slice(), cloneTransforms());
       refreshLoadOptions();
     });
 
@@ -431,7 +660,8 @@
         selected[h] = tgt;
         if (selectsByHeader[h]) selectsByHeader[h].value = tgt || '';
       }
-      notifyChanged();
+      transforms = JSON.parse(JSON.stringify(payload.transforms || {}));
+      notifyChanged(true);
     });
 
     btnDelete.addEventListener('click', () => {
@@ -448,11 +678,15 @@
         selected[h] = null;
         if (selectsByHeader[h]) selectsByHeader[h].value = '';
       }
-      notifyChanged();
+      transforms = {};
+      notifyChanged(true);
     });
 
     function getSelectedTargetsSet() {
-      return new Set(Object.values(selected).filter(Boolean));
+      const set = new Set([...Object.values(selected).filter(Boolean), ...Object.keys(transforms)]);
+      // A date column fills the three date parts
+      if (set.has(global.aiOcrUtils?.DATE_FIELD)) ['rqt_day', 'rqt_mth', 'rqt_yr'].forEach(f => set.add(f));
+      return set;
     }
 
     function updateStats() {
@@ -472,7 +706,7 @@
         preview.textContent = 'No preview rows.';
         return;
       }
-      const mapped = applyMapping(previewRows, selected); // header->target accepted
+      const mapped = applyMapping(previewRows, selected, transforms); // header->target accepted
       const fields = targetFields;
 
       const pt = document.createElement('table');
@@ -481,29 +715,378 @@
       pt.appendChild(pthead);
 
       const ptbody = document.createElement('tbody');
+      const utils = global.aiOcrUtils;
+      const dateField = utils?.DATE_FIELD;
       for (const row of mapped.slice(0, 5)) {
+        // Show the date split the way normalizeAndValidate will do it; unreadable dates are highlighted
+        let badDate = false;
+        if (dateField && utils.parseDate && String(row[dateField] ?? '').trim()) {
+          const parts = utils.parseDate(row[dateField]);
+          row.rqt_day = parts ? parts.day : '';
+          row.rqt_mth = parts ? parts.month : '';
+          row.rqt_yr = parts ? parts.year : '';
+          badDate = !parts;
+        }
         const tr = document.createElement('tr');
-        tr.innerHTML = fields.map(f => `<td>${escapeHtml(row[f])}</td>`).join('');
+        tr.innerHTML = fields.map(f => `<td${badDate && f === dateField ? ' class="danger" title="Not a readable date"' : ''}>${escapeHtml(row[f])}</td>`).join('');
         ptbody.appendChild(tr);
       }
       pt.appendChild(ptbody);
       preview.appendChild(pt);
     }
 
-    function notifyChanged() {
+    function cloneTransforms() {
+      return JSON.parse(JSON.stringify(transforms));
+    }
+
+    // rerenderTransforms: rebuild the transform rows (not needed while typing in one of them)
+    function notifyChanged(rerenderTransforms = false) {
+      if (rerenderTransforms) renderTransforms();
       updateStats();
       updatePreview();
-      if (typeof onChange === 'function') onChange({ ...selected });
+      if (typeof onChange === 'function') onChange({ ...selected }, cloneTransforms());
+    }
+
+    // Transform editor: one row per target field with a transform
+    const headerOptions = (blankLabel) => [`<option value="">${escapeHtml(blankLabel)}</option>`]
+      .concat(csvHeaders.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`))
+      .join('');
+
+    function labelled(text, control) {
+      const label = document.createElement('label');
+      label.textContent = `${text} `;
+      label.appendChild(control);
+      return label;
+    }
+
+    function textInput(value, placeholder, onInput, width = '90px') {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = value ?? '';
+      input.placeholder = placeholder;
+      input.style.width = width;
+      input.addEventListener('input', () => onInput(input.value));
+      return input;
+    }
+
+    // Parameter inputs for one transform; edits update `t` in place
+    function renderTransformParams(cell, t) {
+      cell.innerHTML = '';
+      const changed = () => notifyChanged(false);
+      if (t.type === 'concat') {
+        const multi = document.createElement('select');
+        multi.multiple = true;
+        multi.size = Math.min(4, Math.max(2, csvHeaders.length));
+        multi.innerHTML = headerOptions('').replace('<option value=""></option>', '');
+        for (const opt of Array.from(multi.options)) opt.selected = (t.sources || []).includes(opt.value);
+        multi.addEventListener('change', () => {
+          t.sources = Array.from(multi.selectedOptions).map(o => o.value);
+          changed();
+        });
+        cell.appendChild(labelled('Columns', multi));
+        cell.appendChild(labelled('Separator', textInput(t.separator ?? ' ', 'space', (v) => { t.separator = v; changed(); }, '50px')));
+        return;
+      }
+      if (t.type === 'constant') {
+        cell.appendChild(labelled('Value', textInput(t.value, 'e.g. 1', (v) => { t.value = v; changed(); })));
+        return;
+      }
+      const sourceSel = document.createElement('select');
+      sourceSel.innerHTML = headerOptions('(mapped column)');
+      sourceSel.value = t.source || '';
+      sourceSel.addEventListener('change', () => { t.source = sourceSel.value || undefined; changed(); });
+      cell.appendChild(labelled('Column', sourceSel));
+      if (t.type === 'split') {
+        cell.appendChild(labelled('Separator', textInput(t.separator, 'space', (v) => { t.separator = v || undefined; changed(); }, '50px')));
+        cell.appendChild(labelled('Part', textInput(t.part ?? 1, '1', (v) => { t.part = v; changed(); }, '40px')));
+      } else if (t.type === 'regex') {
+        cell.appendChild(labelled('Pattern', textInput(t.pattern, '(\\d+)', (v) => { t.pattern = v; changed(); }, '120px')));
+        cell.appendChild(labelled('Group', textInput(t.group ?? 1, '1', (v) => { t.group = v; changed(); }, '40px')));
+      } else if (t.type === 'multiply') {
+        cell.appendChild(labelled('Factor', textInput(t.factor ?? 1, 'e.g. 0.01', (v) => { t.factor = v; changed(); }, '60px')));
+      }
+    }
+
+    function renderTransforms() {
+      transformBody.innerHTML = '';
+      for (const [field, t] of Object.entries(transforms)) {
+        const tr = document.createElement('tr');
+        const tdField = document.createElement('td');
+        const fieldSel = document.createElement('select');
+        fieldSel.innerHTML = targetFields.map(f => `<option value="${escapeHtml(f)}">${escapeHtml(f)}</option>`).join('');
+        fieldSel.value = field;
+        fieldSel.addEventListener('change', () => {
+          const next = {};
+          // Keep the row order; a field already transformed elsewhere is replaced
+          for (const [f, v] of Object.entries(transforms)) {
+            if (f === field) next[fieldSel.value] = v;
+            else if (f !== fieldSel.value) next[f] = v;
+          }
+          transforms = next;
+          notifyChanged(true);
+        });
+        tdField.appendChild(fieldSel);
+        const tdType = document.createElement('td');
+        const typeSel = document.createElement('select');
+        typeSel.innerHTML = TRANSFORM_TYPES.map(type => `<option value="${type}">${type}</option>`).join('');
+        typeSel.value = t.type;
+        tdType.appendChild(typeSel);
+        const tdParams = document.createElement('td');
+        typeSel.addEventListener('change', () => {
+          transforms[field] = { type: typeSel.value };
+          renderTransformParams(tdParams, transforms[field]);
+          notifyChanged(false);
+        });
+        renderTransformParams(tdParams, t);
+        const tdRemove = document.createElement('td');
+        const btnRemove = document.createElement('button');
+        btnRemove.type = 'button';
+        btnRemove.textContent = 'Remove';
+        btnRemove.addEventListener('click', () => {
+          delete transforms[field];
+          notifyChanged(true);
+        });
+        tdRemove.appendChild(btnRemove);
+        tr.appendChild(tdField);
+        tr.appendChild(tdType);
+        tr.appendChild(tdParams);
+        tr.appendChild(tdRemove);
+        transformBody.appendChild(tr);
+      }
     }
 
+    btnAddTransform.addEventListener('click', () => {
+      const field = targetFields.find(f => !transforms[f]);
+      if (!field) return;
+      transforms[field] = { type: 'trim' };
+      notifyChanged(true);
+    });
+
     // initial
-    notifyChanged();
+    notifyChanged(true);
+
+    return {
+      getMapping: () => ({ ...selected }),
+      getTransforms: () => cloneTransforms()
+    };
+  }
+
+  // ---------------- Excel import ----------------
+  function isSpreadsheetFile(file) {
+    return /\.(xlsx|xlsm|xls)$/i.test(file?.name || '');
+  }
+
+  async function readWorkbook(file) {
+    const XLSX = await loadSheetJs();
+    const buffer = await file.arrayBuffer();
+    // Cells in Excel's default short-date format come out as ISO rather than the ambiguous m/d/yy
+    const workbook = XLSX.read(buffer, { type: 'array', dateNF: 'yyyy-mm-dd' });
+    return { workbook, sheetNames: workbook.SheetNames.slice() };
+  }
+
+  function readSheetTable(workbook, sheetName) {
+    const sheet = workbook?.Sheets?.[sheetName];
+    if (!sheet) return [];
+    // raw: false gives the text Excel shows (formatted numbers and dates), like a CSV export would
+    const rows = global.XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true });
+    return rows.map(r => r.map(v => String(v ?? '').trim()));
+  }
+
+  // Title rows (a document name, a date line) have fewer filled cells than the table's header row
+  function guessHeaderRow(table) {
+    const filled = (table || []).slice(0, 30).map(r => r.filter(v => v !== '').length);
+    const widest = Math.max(0, ...filled);
+    if (!widest) return 0;
+    const at = filled.findIndex(n => n >= Math.max(2, Math.ceil(widest * 0.6)));
+    return at === -1 ? filled.indexOf(widest) : at;
+  }
+
+  function tableToRecords(table, headerRow = 0) {
+    const headerCells = (table?.[headerRow] || []);
+    const seen = {};
+    const fields = headerCells.map((h, i) => {
+      const base = String(h || '').trim() || `Column ${i + 1}`;
+      seen[base] = (seen[base] || 0) + 1;
+      return seen[base] > 1 ? `${base}_${seen[base] - 1}` : base;
+    });
+    const data = [];
+    for (const cells of (table || []).slice(headerRow + 1)) {
+      if (!cells.some(v => v !== '')) continue;
+      const record = {};
+      fields.forEach((f, i) => { record[f] = cells[i] ?? ''; });
+      data.push(record);
+    }
+    return { data, meta: { fields } };
+  }
+
+  function renderSheetPicker(containerEl, { sheetNames = [], sheet, headerRow = 0, table = [], onChange } = {}) {
+    injectStyles();
+    if (!containerEl) return null;
+    let current = { sheet: sheet || sheetNames[0], headerRow };
+    containerEl.innerHTML = '';
+    const wrap = document.createElement('div');
+    wrap.className = 'ai-ocr-csv-sheet';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'ai-ocr-csv-toolbar';
+    const sheetLabel = document.createElement('label');
+    sheetLabel.textContent = 'Sheet: ';
+    const sheetSel = document.createElement('select');
+    for (const name of sheetNames) {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      sheetSel.appendChild(opt);
+    }
+    sheetSel.value = current.sheet;
+    sheetLabel.appendChild(sheetSel);
+    const rowLabel = document.createElement('label');
+    rowLabel.textContent = 'Header row: ';
+    const rowInput = document.createElement('input');
+    rowInput.type = 'number';
+    rowInput.min = '1';
+    rowInput.style.width = '60px';
+    rowLabel.appendChild(rowInput);
+    toolbar.appendChild(sheetLabel);
+    toolbar.appendChild(rowLabel);
+
+    const help = document.createElement('div');
+    help.className = 'ai-ocr-csv-help';
+    help.textContent = 'Rows above the header row are skipped. Click a row below to use it as the header.';
+    const preview = document.createElement('div');
+    preview.className = 'ai-ocr-csv-preview';
+
+    wrap.appendChild(toolbar);
+    wrap.appendChild(help);
+    wrap.appendChild(preview);
+    containerEl.appendChild(wrap);
+
+    function renderPreview() {
+      rowInput.value = String(current.headerRow + 1);
+      const shown = table.slice(0, Math.max(8, current.headerRow + 4));
+      const width = Math.max(0, ...shown.map(r => r.length));
+      preview.innerHTML = `<table>${shown.map((r, i) => `<tr data-row="${i}" class="${i === current.headerRow ? 'ai-ocr-csv-header-row' : (i < current.headerRow ? 'ai-ocr-csv-skipped-row' : '')}"><th>${i + 1}</th>${Array.from({ length: width }, (_, c) => `<td>${escapeHtml(r[c] ?? '')}</td>`).join('')}</tr>`).join('')}</table>`;
+    }
+    function emit() {
+      renderPreview();
+      if (typeof onChange === 'function') onChange({ ...current });
+    }
+
+    sheetSel.addEventListener('change', () => {
+      current = { sheet: sheetSel.value, headerRow: 0 };
+      if (typeof onChange === 'function') onChange({ ...current, sheetChanged: true });
+    });
+    rowInput.addEventListener('change', () => {
+      const n = parseInt(rowInput.value, 10);
+      current.headerRow = Number.isFinite(n) ? Math.min(Math.max(n - 1, 0), Math.max(table.length - 1, 0)) : 0;
+      emit();
+    });
+    preview.addEventListener('click', (e) => {
+      const tr = e.target.closest && e.target.closest('tr[data-row]');
+      if (!tr) return;
+      current.headerRow = parseInt(tr.dataset.row, 10);
+      emit();
+    });
+    renderPreview();
 
     return {
-      getMapping: () => ({ ...selected })
+      getSelection: () => ({ ...current })
     };
   }
 
+  // ---------------- Export ----------------
+  const EXPORT_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    json: 'application/json',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  };
+
+  async function loadSheetJs() {
+    if (global.XLSX) return global.XLSX;
+    await new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js';
+      s.async = true;
+      s.onload = resolve;
+      s.onerror = reject;
+      document.head.appendChild(s);
+    });
+    if (!global.XLSX) throw new Error('SheetJS failed to load');
+    return global.XLSX;
+  }
+
+  // Same column order as test-template.csv
+  function getExportFields() {
+    return global.aiOcrUtils?.listFields ? global.aiOcrUtils.listFields() : getKnownTargetFields();
+  }
+
+  // Header line plus one line per row; booleans become 1/0 and missing values empty cells, as in the template.
+  // Metadata keys (_sourceIndex, _bbox, ...) are left out.
+  function toExportTable(rows, fields) {
+    const cell = (v) => (typeof v === 'boolean' ? (v ? 1 : 0) : (v == null ? '' : v));
+    return [fields, ...(rows || []).map(row => fields.map(f => cell(row?.[f])))];
+  }
+
+  function csvCell(v) {
+    const s = String(v);
+    return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function rowsToCsv(rows, fields = getExportFields()) {
+    return toExportTable(rows, fields).map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function stripMetadata(row) {
+    const out = {};
+    for (const [k, v] of Object.entries(row || {})) if (!k.startsWith('_')) out[k] = v;
+    return out;
+  }
+
+  function rowsToJson(rows, header = null) {
+    const items = (rows || []).map(stripMetadata);
+    return JSON.stringify(header ? { header, items } : items, null, 2);
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function defaultExportName(format) {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    return `ai-ocr-rows-${stamp}.${format}`;
+  }
+
+  async function exportRows(rows, format, { header = null, filename } = {}) {
+    const type = EXPORT_TYPES[format];
+    if (!type) throw new Error(`Unknown export format "${format}". Use csv, json or xlsx.`);
+    const name = filename || defaultExportName(format);
+    let data;
+    if (format === 'csv') {
+      data = '\ufeff' + rowsToCsv(rows); // BOM so Excel opens it as UTF-8
+    } else if (format === 'json') {
+      data = rowsToJson(rows, header);
+    } else {
+      const XLSX = await loadSheetJs();
+      const book = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(toExportTable(rows, getExportFields())), 'Rows');
+      if (header) {
+        const headerLines = [['field', 'value'], ...Object.entries(header).map(([k, v]) => [k, v == null ? '' : v])];
+        XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(headerLines), 'Header');
+      }
+      data = XLSX.write(book, { bookType: 'xlsx', type: 'array' });
+    }
+    downloadBlob(new Blob([data], { type }), name);
+    return name;
+  }
+
   function escapeHtml(v) {
   return String(v ?? '')
     .replace(/&/g, '&amp;')
@@ -516,14 +1099,27 @@
   global.aiOcrCsv = {
     loadPapaParse,
     parseCsvFile,
+    parseCsvText,
+    isSpreadsheetFile,
+    readWorkbook,
+    readSheetTable,
+    guessHeaderRow,
+    tableToRecords,
+    renderSheetPicker,
     buildDefaultMapping,
     buildDefaultReverseMapping,
     renderMappingUI,
     applyMapping,
+    applyTransform,
+    TRANSFORM_TYPES,
     toTargetSourceMapping,
     listProfiles,
     saveProfile,
     loadProfile,
     deleteProfile,
+    loadSheetJs,
+    rowsToCsv,
+    rowsToJson,
+    exportRows,
   };
 })();
\ No newline at end of file
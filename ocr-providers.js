@@ -0,0 +1,278 @@
+/**
+ * @file ocr-providers.js
+ * @description Pluggable OCR provider registry. A provider turns a prompt plus images into an HTTP request
+ *              and turns the reply back into model text. ocr.js owns everything else (JSON extraction via
+ *              safeJsonExtract, normalization and $addRows), so every provider shares the same pipeline.
+ *
+ * Exposes window.aiOcrProviders with:
+ *  - register(provider): void               // replaces an existing provider with the same id
+ *  - get(id): provider|null
+ *  - list(): provider[]                     // enabled providers, in registration order
+ *  - getOptions(id): object                 // provider.defaults merged with AI_OCR.config.providers[id]
+ *  - getModels(id): Array<{ id, label, default? }>
+ *  - toModelValue(providerId, modelId): string
+ *  - parseModelValue(value): { providerId, model }
+ *  - createOpenAiCompatibleProvider(def): provider   // helper for OpenAI-style chat-completions servers
+ *
+ * Provider shape:
+ *  - id: string, label: string
+ *  - models: Array<{ id, label, default?, structuredOutput? }>  // may be overridden with options.models
+ *  - defaults?: object                      // options; a host can override them per provider id
+ *  - requiresApiKey?: boolean               // prompt for a key (stored in sessionStorage under apiKeyStorageKey)
+ *  - apiKeyStorageKey?: string
+ *  - buildRequest({ model, prompt, schema, images, apiKey, options }): { url, init }
+ *      images: Array<{ mimeType, data }>    // base64 payload without the data: prefix
+ *      schema: response schema or null      // only passed for models with structuredOutput: true
+ *  - parseResponse(json): string            // raw model text
+ *  - getBlockReason?(json): string|null     // why the model refused (safety filter), or null
+ *  - send?(request, options): Promise<Response>   // transport override; defaults to fetch(url, init)
+ *      request.init.signal is set by ocr.js (cancel/timeout) and should be honoured
+ *
+ * Host configuration (set before loading the library):
+ *   window.AI_OCR = { config: { providers: { openai: { baseUrl: '...' }, mock: { enabled: true } } } };
+ */
+(function () {
+  const global = (typeof window !== 'undefined') ? window : globalThis;
+  if (global.aiOcrProviders) return; // avoid re-definition
+
+  const registry = new Map();
+
+  function getConfig(path, fallback) {
+    const utils = global.aiOcrUtils;
+    return (utils && typeof utils.getConfig === 'function') ? utils.getConfig(path, fallback) : fallback;
+  }
+
+  function register(provider) {
+    if (!provider || !provider.id) throw new Error('OCR provider must have an id');
+    if (typeof provider.buildRequest !== 'function' || typeof provider.parseResponse !== 'function') {
+      throw new Error(`OCR provider "${provider.id}" must implement buildRequest and parseResponse`);
+    }
+    registry.set(provider.id, provider);
+  }
+
+  function get(id) {
+    return registry.get(id) || null;
+  }
+
+  function getOptions(id) {
+    const provider = get(id);
+    if (!provider) return {};
+    return { enabled: true, ...(provider.defaults || {}), ...(getConfig(`providers.${id}`, {}) || {}) };
+  }
+
+  function list() {
+    return Array.from(registry.values()).filter(p => getOptions(p.id).enabled !== false);
+  }
+
+  function getModels(id) {
+    const provider = get(id);
+    if (!provider) return [];
+    const models = getOptions(id).models || provider.models || [];
+    return models.map(m => (typeof m === 'string' ? { id: m, label: m } : m));
+  }
+
+  // Model ids may themselves contain ':' (e.g. "llava:13b"), so only the first colon separates the provider.
+  function toModelValue(providerId, modelId) {
+    return `${providerId}:${modelId}`;
+  }
+  function parseModelValue(value) {
+    const str = String(value || '');
+    const i = str.indexOf(':');
+    if (i > 0 && registry.has(str.slice(0, i))) {
+      return { providerId: str.slice(0, i), model: str.slice(i + 1) };
+    }
+    // Bare model names predate the registry and always meant Gemini
+    return { providerId: 'gemini', model: str };
+  }
+
+  function toDataUrl(image) {
+    return `data:${image.mimeType};base64,${image.data}`;
+  }
+
+  // ==========================================================================================
+  // SECTION: Built-in providers
+  // ==========================================================================================
+
+  register({
+    id: 'gemini',
+    label: 'Google Gemini',
+    requiresApiKey: true,
+    apiKeyStorageKey: 'geminiApiKey',
+    defaults: { baseUrl: 'https://generativelanguage.googleapis.com/v1beta' },
+    models: [
+      { id: 'gemini-2.5-flash-lite', label: 'Gemini 2.5 Flash Lite (Fastest)', default: true, structuredOutput: true },
+      { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash (Fast)', structuredOutput: true },
+      { id: 'gemma-3-27b-it', label: 'Gemma 3 27B (Quality)' },
+      { id: 'gemma-3-12b-it', label: 'Gemma 3 12B (Balanced)' }
+    ],
+    buildRequest({ model, prompt, schema, images, apiKey, options }) {
+      const payload = {
+        contents: [{ parts: [{ text: prompt }, ...images.map(img => ({ inline_data: { mime_type: img.mimeType, data: img.data } }))] }],
+        generationConfig: { temperature: 0, topK: 1, topP: 0.1 }
+      };
+      if (schema) {
+        payload.generationConfig.responseMimeType = 'application/json';
+        payload.generationConfig.responseSchema = schema;
+      }
+      return {
+        url: `${options.baseUrl}/models/${model}:generateContent?key=${encodeURIComponent(apiKey || '')}`,
+        init: { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) }
+      };
+    },
+    parseResponse(data) {
+      const parts = data?.candidates?.[0]?.content?.parts || [];
+      return parts.map(p => p.text || '').join('\n').trim();
+    },
+    getBlockReason(data) {
+      if (data?.promptFeedback?.blockReason) return data.promptFeedback.blockReason;
+      const finish = data?.candidates?.[0]?.finishReason;
+      return ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'].includes(finish) ? finish : null;
+    }
+  });
+
+  /**
+   * Builds a provider for the OpenAI chat-completions API shape, which OpenAI itself and most
+   * self-hosted model servers (vLLM, Ollama, LM Studio, LocalAI) implement.
+   */
+  function createOpenAiCompatibleProvider(def) {
+    return {
+      ...def,
+      buildRequest({ model, prompt, images, apiKey, options }) {
+        const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+        const key = apiKey || options.apiKey;
+        if (key) headers.Authorization = `Bearer ${key}`;
+        const payload = {
+          model,
+          temperature: 0,
+          messages: [{
+            role: 'user',
+            content: [{ type: 'text', text: prompt }, ...images.map(img => ({ type: 'image_url', image_url: { url: toDataUrl(img) } }))]
+          }]
+        };
+        return {
+          url: `${String(options.baseUrl).replace(/\/+$/, '')}/chat/completions`,
+          init: { method: 'POST', headers, body: JSON.stringify(payload) }
+        };
+      },
+      parseResponse(data) {
+        const content = data?.choices?.[0]?.message?.content;
+        if (Array.isArray(content)) return content.map(c => c.text || '').join('\n').trim();
+        return String(content || '').trim();
+      },
+      getBlockReason(data) {
+        const choice = data?.choices?.[0];
+        if (choice?.message?.refusal) return `refusal: ${choice.message.refusal}`;
+        return choice?.finish_reason === 'content_filter' ? 'content_filter' : null;
+      }
+    };
+  }
+
+  register(createOpenAiCompatibleProvider({
+    id: 'openai',
+    label: 'OpenAI',
+    requiresApiKey: true,
+    apiKeyStorageKey: 'openaiApiKey',
+    defaults: { baseUrl: 'https://api.openai.com/v1' },
+    models: [
+      { id: 'gpt-4o-mini', label: 'GPT-4o mini (Fast)' },
+      { id: 'gpt-4o', label: 'GPT-4o (Quality)' }
+    ]
+  }));
+
+  register(createOpenAiCompatibleProvider({
+    id: 'selfhosted',
+    label: 'Self-hosted',
+    requiresApiKey: false,
+    // Disabled until the host points it at a server, e.g. providers.selfhosted = { enabled: true, baseUrl, models }
+    defaults: { enabled: false, baseUrl: 'http://localhost:11434/v1' },
+    models: [{ id: 'llava', label: 'LLaVA (local)' }]
+  }));
+
+  // Resolves the proxy endpoint against the page and refuses other origins, so no config can send documents elsewhere
+  function toSameOriginUrl(endpoint) {
+    const origin = global.location?.origin;
+    let url = null;
+    try {
+      url = new URL(String(endpoint || ''), global.location?.href);
+    } catch (_) {}
+    if (!url || !origin || url.origin !== origin) {
+      throw new Error(`The OCR proxy endpoint "${endpoint}" must be on this page's origin (${origin || 'unknown'}).`);
+    }
+    return url.href;
+  }
+
+  /**
+   * Same-origin backend endpoint. The browser never sees a vendor API key: the host's server holds it and
+   * forwards the request to whichever model it likes. Auth rides on cookies (`credentials`) and/or custom
+   * headers (an object, or a function returning one so tokens can be refreshed per request).
+   *
+   * Request:  POST {endpoint}  { model, prompt, schema, images: [{ mimeType, data }] }
+   * Response: 200 { rows: [...], header?: {...} }  or  200 { text: "<raw model output>" }
+   */
+  register({
+    id: 'proxy',
+    label: 'Company OCR Service',
+    requiresApiKey: false,
+    defaults: { enabled: false, endpoint: '/api/ocr', headers: {}, credentials: 'same-origin' },
+    models: [{ id: 'default', label: 'Server default', default: true }],
+    buildRequest({ model, prompt, schema, images, options }) {
+      const extraHeaders = typeof options.headers === 'function' ? options.headers() : options.headers;
+      return {
+        url: toSameOriginUrl(options.endpoint),
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(extraHeaders || {}) },
+          credentials: options.credentials,
+          body: JSON.stringify({ model, prompt, schema: schema || null, images })
+        }
+      };
+    },
+    parseResponse(data) {
+      if (Array.isArray(data?.rows)) {
+        return JSON.stringify(data.header ? { header: data.header, items: data.rows } : data.rows);
+      }
+      return String(data?.text || '');
+    }
+  });
+
+  // Offline provider for demos and UI work: never touches the network and replies with canned rows.
+  register({
+    id: 'mock',
+    label: 'Local Mock',
+    requiresApiKey: false,
+    defaults: {
+      enabled: false,
+      delayMs: 300,
+      rows: [
+        { code: 'MOCK-001', desc_short: 'Mock item', uom: 'EA', qty: 1, unit_list: 10, disc_pct: 0, unit_price: 10, amount: 10, gst: 0 }
+      ]
+    },
+    models: [{ id: 'mock', label: 'Mock (no network)' }],
+    buildRequest({ model, images, options }) {
+      return { url: 'mock://ocr', init: { method: 'POST', body: JSON.stringify({ model, images: images.length, rows: options.rows }) } };
+    },
+    async send(request, options) {
+      const signal = request.init.signal;
+      await new Promise((res, rej) => {
+        const timer = setTimeout(res, Number(options.delayMs) || 0);
+        signal?.addEventListener('abort', () => { clearTimeout(timer); rej(new DOMException('Aborted', 'AbortError')); }, { once: true });
+      });
+      const { rows } = JSON.parse(request.init.body);
+      return new Response(JSON.stringify({ text: JSON.stringify(rows || []) }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    },
+    parseResponse(data) {
+      return String(data?.text || '');
+    }
+  });
+
+  global.aiOcrProviders = {
+    register,
+    get,
+    list,
+    getOptions,
+    getModels,
+    toModelValue,
+    parseModelValue,
+    createOpenAiCompatibleProvider,
+  };
+})();
@@ -3,10 +3,29 @@
  * @description Shared normalization utilities for AI OCR and CSV import.
  * Exposes a global window.aiOcrUtils with:
  *  - FIELD_SPEC
- *  - normalizeNumber
+ *  - FIELD_ORDER, FIELD_HINTS, LOCATE_FIELDS
+ *  - listFields
+ *  - describeFields
+ *  - describeLocation
+ *  - buildResponseSchema
+ *  - toExampleRow
+ *  - HEADER_SPEC, HEADER_HINTS
+ *  - listHeaderFields
+ *  - describeHeaderFields
+ *  - normalizeHeader
+ *  - checkTotals
+ *  - validateRow, validateRows
+ *  - normalizeNumber, detectDecimalSeparator, resolveDecimals
  *  - coerceBoolean
+ *  - DATE_FIELD, parseDate
  *  - normalizeAndValidate
  *  - safeJsonExtract
+ *  - parseLooseJson
+ *  - parseDocument, normalizeDocument, extractDocument
+ *  - getConfig
+ *  - HOOK_NAMES, onHook, runHook, notifyError
+ *
+ * Also adds AI_OCR.on(name, handler) for the lifecycle hooks (see runHook).
  */
 (function () {
   const global = (typeof window !== 'undefined') ? window : globalThis;
@@ -25,16 +44,249 @@
     boolean: ['gst']
   });
 
-  function normalizeNumber(value) {
+  // Canonical column order (the one test-template.csv uses). Fields added to FIELD_SPEC but missing
+  // here are appended by listFields(), so prompts and schemas pick them up without further edits.
+  const FIELD_ORDER = Object.freeze([
+    'code','brand','desc_short','desc_long','uom','qty','unit_list','disc_pct','unit_price','amount',
+    'unit_w_gst','conv','qty_uomstk','uprice_uomstk','uomstk','gst','acct_disp','dept_disp','proj_disp',
+    'rqt_day','rqt_mth','rqt_yr','batchnum'
+  ]);
+
+  // Optional extraction hints shown to the model (prompt text and schema descriptions).
+  // For boolean fields the hint names the condition that makes the value true.
+  const FIELD_HINTS = Object.freeze({
+    desc_short: 'Primary item description, max 55 chars',
+    desc_long: 'Remarks, comments, or descriptions > 55 chars',
+    gst: 'GST applies',
+    rqt_day: '2-digit, e.g. "05"',
+    rqt_mth: '2-digit, e.g. "09"',
+    rqt_yr: '4-digit, e.g. "2025"'
+  });
+
+  // Document header (one per document), extracted in the same call as the line items
+  const HEADER_SPEC = Object.freeze({
+    string: ['supplier_name','supplier_ref','doc_no','doc_date','currency','payment_terms'],
+    number: ['subtotal','gst_total','grand_total']
+  });
+
+  const HEADER_HINTS = Object.freeze({
+    supplier_name: 'Supplier / vendor company name',
+    supplier_ref: "Supplier's own reference, quotation or invoice number",
+    doc_no: 'Document number printed on the document (PO, DO, invoice no.)',
+    doc_date: 'Document date as YYYY-MM-DD',
+    currency: 'ISO 4217 code, e.g. "SGD"',
+    payment_terms: 'e.g. "30 days"',
+    subtotal: 'Total before tax',
+    gst_total: 'Tax (GST/VAT) amount',
+    grand_total: 'Total including tax'
+  });
+
+  // Single date input (a CSV column, or a model reply with one date) that normalizeAndValidate splits into
+  // rqt_day/rqt_mth/rqt_yr. It is not in FIELD_SPEC: the form stores the three parts.
+  const DATE_FIELD = 'rqt_date';
+
+  // Key fields that get their own region/confidence (in addition to the whole row) when location
+  // metadata is requested. Overridable via AI_OCR.config.locateFields.
+  const LOCATE_FIELDS = Object.freeze(['code','desc_short','qty','unit_price','amount']);
+
+  function getFieldType(field) {
+    if (FIELD_SPEC.number.includes(field)) return 'number';
+    if (FIELD_SPEC.boolean.includes(field)) return 'boolean';
+    return 'string';
+  }
+
+  function listFields() {
+    const all = [...FIELD_SPEC.string, ...FIELD_SPEC.number, ...FIELD_SPEC.boolean];
+    return [...FIELD_ORDER.filter(f => all.includes(f)), ...all.filter(f => !FIELD_ORDER.includes(f))];
+  }
+
+  // Prompt lines such as "- desc_short: string (Primary item description, max 55 chars)"
+  function describeFields() {
+    return listFields().map((f) => {
+      const type = getFieldType(f);
+      const hint = FIELD_HINTS[f];
+      if (type === 'boolean') return `- ${f}: number (1 if ${hint || 'true'} else 0)`;
+      return `- ${f}: ${type}${hint ? ` (${hint})` : ''}`;
+    });
+  }
+
+  function listHeaderFields() {
+    return [...HEADER_SPEC.string, ...HEADER_SPEC.number];
+  }
+
+  function describeHeaderFields() {
+    return listHeaderFields().map((f) => {
+      const type = HEADER_SPEC.number.includes(f) ? 'number' : 'string';
+      return `- ${f}: ${type}${HEADER_HINTS[f] ? ` (${HEADER_HINTS[f]})` : ''}`;
+    });
+  }
+
+  function getLocateFields() {
+    const configured = getConfig('locateFields', null);
+    return Array.isArray(configured) ? configured : LOCATE_FIELDS.slice();
+  }
+
+  // Prompt lines asking for regions ([ymin, xmin, ymax, xmax] scaled 0-1000) and 0-1 confidences
+  function describeLocation() {
+    return [
+      'Location metadata (include in every object):',
+      '- _bbox: [ymin, xmin, ymax, xmax] of the whole line item on its image, integers scaled 0-1000',
+      '- _confidence: number 0-1, how sure you are that the line item was read correctly',
+      `- _fields: object keyed by ${getLocateFields().join(', ')}; each value {"bbox": [ymin, xmin, ymax, xmax], "confidence": 0-1}`
+    ];
+  }
+
+  // Gemini response schema (OpenAPI subset): an array of objects with exactly the FIELD_SPEC keys.
+  // Numbers are nullable; missing strings come back as "" per the prompt rules.
+  // With `locate`, optional _bbox/_confidence/_fields location metadata is added (see describeLocation).
+  // With `pages` (several images in one request), each row also gets _page, the 1-based image it is on.
+  // With `header`, the schema becomes { header: {...HEADER_SPEC}, items: [...] }.
+  function buildResponseSchema({ locate = false, header = false, pages = false } = {}) {
+    const fields = listFields();
+    const properties = {};
+    for (const f of fields) {
+      const type = getFieldType(f);
+      const prop = { type: type === 'number' ? 'NUMBER' : type === 'boolean' ? 'BOOLEAN' : 'STRING' };
+      if (type === 'number') prop.nullable = true;
+      const hint = FIELD_HINTS[f];
+      if (hint) prop.description = type === 'boolean' ? `true if ${hint}` : hint;
+      properties[f] = prop;
+    }
+    if (locate) {
+      const box = { type: 'ARRAY', items: { type: 'INTEGER' }, nullable: true };
+      const confidence = { type: 'NUMBER', nullable: true };
+      const fieldProps = {};
+      for (const f of getLocateFields()) {
+        fieldProps[f] = { type: 'OBJECT', nullable: true, properties: { bbox: box, confidence } };
+      }
+      properties._bbox = { ...box, description: 'Line item region [ymin, xmin, ymax, xmax] scaled 0-1000' };
+      properties._confidence = { ...confidence, description: 'Confidence 0-1 that the line item was read correctly' };
+      properties._fields = { type: 'OBJECT', nullable: true, properties: fieldProps };
+    }
+    if (pages) {
+      properties._page = { type: 'INTEGER', nullable: true, description: 'Image the line item is on, 1-based in the order sent' };
+    }
+    const itemsSchema = {
+      type: 'ARRAY',
+      items: { type: 'OBJECT', properties, required: fields, propertyOrdering: Object.keys(properties) }
+    };
+    if (!header) return itemsSchema;
+    const headerFields = listHeaderFields();
+    const headerProps = {};
+    for (const f of headerFields) {
+      const isNumber = HEADER_SPEC.number.includes(f);
+      headerProps[f] = { type: isNumber ? 'NUMBER' : 'STRING', ...(isNumber ? { nullable: true } : {}), ...(HEADER_HINTS[f] ? { description: HEADER_HINTS[f] } : {}) };
+    }
+    return {
+      type: 'OBJECT',
+      properties: {
+        header: { type: 'OBJECT', properties: headerProps, required: headerFields, propertyOrdering: headerFields },
+        items: itemsSchema
+      },
+      required: ['header', 'items'],
+      propertyOrdering: ['header', 'items']
+    };
+  }
+
+  // Expands a partial sample into a full example row in canonical order (prompt examples)
+  function toExampleRow(sample) {
+    const out = {};
+    for (const f of listFields()) {
+      const type = getFieldType(f);
+      const v = sample?.[f];
+      if (type === 'number') out[f] = v ?? null;
+      else if (type === 'boolean') out[f] = v ? 1 : 0;
+      else out[f] = v ?? '';
+    }
+    return out;
+  }
+
+  // Decimal separator of a locale such as 'de-DE' ('.' or ','), or null when unknown
+  function localeDecimal(locale) {
+    if (!locale || locale === 'auto') return null;
+    try {
+      const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+      return part && part.value === ',' ? ',' : '.';
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Splits a number string into sign and bare digits/separators: currency codes and symbols (RM, S$, €, ¥),
+  // percent signs, spaces and apostrophes used as thousands separators are dropped; (15.00) and 15.00- are negative
+  function cleanNumberText(value) {
+    // Currency goes first so "$ (12.00)" and "(12.00) SGD" still read as negative
+    let str = String(value).replace(/[\u2212\u2012\u2013]/g, '-').replace(/[\p{L}\p{Sc}%]/gu, '').trim();
+    let negative = false;
+    if (/^\(.*\)$/.test(str)) {
+      negative = true;
+      str = str.slice(1, -1).trim();
+    }
+    if (/-$/.test(str)) {
+      negative = true;
+      str = str.slice(0, -1).trim();
+    }
+    if (/^[-+]/.test(str)) {
+      if (str[0] === '-') negative = !negative;
+      str = str.slice(1);
+    }
+    const digits = str.replace(/[\s'\u2019]/g, '').match(/^[\d.,]+/);
+    return { negative, digits: digits ? digits[0] : '' };
+  }
+
+  // The decimal separator a digit string shows on its own, or null when it could be either ("1,234", "12")
+  function decimalEvidence(digits) {
+    const dots = (digits.match(/\./g) || []).length;
+    const commas = (digits.match(/,/g) || []).length;
+    if (dots && commas) return digits.lastIndexOf('.') > digits.lastIndexOf(',') ? '.' : ',';
+    if (dots > 1) return ',';
+    if (commas > 1) return '.';
+    if (!dots && !commas) return null;
+    const sep = dots ? '.' : ',';
+    const [whole, fraction] = digits.split(sep);
+    // One separator followed by exactly three digits reads as grouping in either locale ("1.234", "1,234")
+    const couldGroup = fraction.length === 3 && whole.length >= 1 && whole.length <= 3 && whole !== '0';
+    return couldGroup ? null : sep;
+  }
+
+  /**
+   * The decimal separator most values agree on, from those that show it unambiguously
+   * ("1.234,56", "1,5", "12.50"); null when none do. Used per column, then per document.
+   * @param {Array<*>} values
+   * @returns {'.'|','|null}
+   */
+  function detectDecimalSeparator(values) {
+    let dots = 0;
+    let commas = 0;
+    for (const v of values || []) {
+      if (typeof v !== 'string') continue;
+      const evidence = decimalEvidence(cleanNumberText(v).digits);
+      if (evidence === '.') dots++;
+      else if (evidence === ',') commas++;
+    }
+    if (!dots && !commas) return null;
+    return commas > dots ? ',' : '.';
+  }
+
+  /**
+   * Parses a number written in any common locale: "1,234.56", "1.234,56", "1 234,56", "1,5", "(15.00)",
+   * "15.00-", "RM 12.50", "€ 9,90", "15%" (→ 15). A single separator before exactly three digits ("1,234")
+   * is read with `decimal`; failing that with `locale`, AI_OCR.config.numberLocale, or as a thousands separator.
+   * @param {*} value
+   * @param {{ decimal?: '.'|',', locale?: string }} [options]
+   * @returns {number|null}
+   */
+  function normalizeNumber(value, { decimal, locale } = {}) {
     if (value == null) return null;
     if (typeof value === 'number') return Number.isFinite(value) ? value : null;
-    // Remove spaces, thousands separators, currency symbols, percent words, etc.
-    const str = String(value)
-      .replace(/[\s,]/g, '')
-      .replace(/[$]/g, '')
-      .replace(/[A-Za-z%]+/g, '');
-    const num = parseFloat(str);
-    return Number.isFinite(num) ? num : null;
+    const { negative, digits } = cleanNumberText(value);
+    if (!digits) return null;
+    const preferred = decimal || localeDecimal(locale || getConfig('numberLocale', null)) || '.';
+    const sep = decimalEvidence(digits) || preferred;
+    const group = sep === '.' ? ',' : '.';
+    const num = parseFloat(digits.split(group).join('').replace(sep, '.'));
+    if (!Number.isFinite(num)) return null;
+    return negative ? -num : num;
   }
 
   function coerceBoolean(value) {
@@ -49,8 +301,94 @@
     return false;
   }
 
-  function normalizeAndValidate(items) {
+  const MONTHS = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
+
+  // Excel stores dates as days since 1899-12-30; the range keeps quantities and codes from passing as dates
+  const EXCEL_SERIAL_MIN = 20000; // 1954-10-03
+  const EXCEL_SERIAL_MAX = 80000; // 2119-01-10
+
+  function fullYear(year) {
+    if (year.length > 2) return year.padStart(4, '0');
+    const yy = Number(year);
+    return String(yy < 70 ? 2000 + yy : 1900 + yy);
+  }
+
+  function toDateParts(day, month, year) {
+    const parts = { day: String(Number(day)).padStart(2, '0'), month: String(Number(month)).padStart(2, '0'), year: fullYear(year) };
+    return isRealDate(parts.day, parts.month, parts.year) ? parts : null;
+  }
+
+  /**
+   * Reads one date value into its parts. Accepts ISO (2025-10-15, 20251015), numeric (15/10/2025, 15.10.25),
+   * month names (15-Oct-25, Oct 15, 2025, 15th October 2025) and Excel serial numbers (45945). A time after
+   * the date is ignored. Numeric dates where both leading parts could be the month are read in `order`.
+   * @param {string|number} value
+   * @param {{ order?: 'DMY'|'MDY' }} [options] - Default AI_OCR.config.dateOrder, else 'DMY'.
+   * @returns {{ day: string, month: string, year: string } | null} Zero-padded parts, or null when unreadable.
+   */
+  function parseDate(value, { order } = {}) {
+    const dayFirst = String(order || getConfig('dateOrder', 'DMY')).toUpperCase() !== 'MDY';
+    if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(String(value ?? '').trim())) {
+      const serial = Math.floor(Number(value));
+      if (serial < EXCEL_SERIAL_MIN || serial > EXCEL_SERIAL_MAX) return null;
+      const date = new Date(Date.UTC(1899, 11, 30) + serial * 86400000);
+      return toDateParts(date.getUTCDate(), date.getUTCMonth() + 1, String(date.getUTCFullYear()));
+    }
+    const text = String(value ?? '').trim().replace(/(T|\s+)\d{1,2}:\d{2}.*$/i, '');
+    if (!text) return null;
+
+    let m = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (m) return toDateParts(m[3], m[2], m[1]);
+
+    m = text.match(/^(\d{1,2})[-/. ](\d{1,2})[-/. ](\d{4}|\d{2})$/);
+    if (m) {
+      const [a, b] = [Number(m[1]), Number(m[2])];
+      const readDayFirst = a > 12 ? true : b > 12 ? false : dayFirst;
+      return readDayFirst ? toDateParts(m[1], m[2], m[3]) : toDateParts(m[2], m[1], m[3]);
+    }
+
+    // Month names: day-month-year, month-day-year or year-month-day
+    const tokens = text.toLowerCase().split(/[\s,./-]+/).filter(Boolean).map(t => t.replace(/^(\d+)(st|nd|rd|th)$/, '$1'));
+    if (tokens.length !== 3) return null;
+    const monthAt = tokens.findIndex(t => /^[a-z]{3,}\.?$/.test(t) && MONTHS.includes(t.slice(0, 3)));
+    if (monthAt === -1 || tokens.some((t, i) => i !== monthAt && !/^\d+$/.test(t))) return null;
+    const month = MONTHS.indexOf(tokens[monthAt].slice(0, 3)) + 1;
+    if (monthAt === 0) return toDateParts(tokens[1], month, tokens[2]);
+    if (monthAt === 1) return tokens[0].length === 4 ? toDateParts(tokens[2], month, tokens[0]) : toDateParts(tokens[0], month, tokens[2]);
+    return null;
+  }
+
+  // The single date to split for a row: DATE_FIELD, or a whole date the model put in rqt_day
+  function getDateInput(raw, out) {
+    const value = raw?.[DATE_FIELD];
+    if (typeof value === 'number' || String(value ?? '').trim()) return value;
+    if (out.rqt_day.length > 4 && !out.rqt_mth && !out.rqt_yr) return out.rqt_day;
+    return null;
+  }
+
+  /**
+   * Decimal separator per number field for a set of rows: `decimal`, or that of `locale` /
+   * AI_OCR.config.numberLocale; otherwise detected per column, falling back to the whole document.
+   * @returns {Object<string, '.'|','|undefined>} Keyed by field; undefined leaves it to normalizeNumber.
+   */
+  function resolveDecimals(rows, fields, { decimal, locale } = {}) {
+    const fixed = decimal || localeDecimal(locale || getConfig('numberLocale', null));
+    const columns = fields.map(k => rows.map(r => r?.[k]));
+    const documentDecimal = fixed || detectDecimalSeparator(columns.flat());
+    const out = {};
+    fields.forEach((k, i) => { out[k] = fixed || detectDecimalSeparator(columns[i]) || documentDecimal || undefined; });
+    return out;
+  }
+
+  /**
+   * Normalizes raw rows (model output or mapped CSV records) to FIELD_SPEC types.
+   * @param {Array<object>|object} items
+   * @param {{ decimal?: '.'|',', locale?: string }} [options] - Number format; detected when not given.
+   * @returns {Array<object>}
+   */
+  function normalizeAndValidate(items, options) {
     const arr = Array.isArray(items) ? items : (items ? [items] : []);
+    const decimals = resolveDecimals(arr, FIELD_SPEC.number, options);
     return arr.map((raw) => {
       const out = {};
 
@@ -64,7 +402,7 @@
 
       // Numbers
       for (const k of FIELD_SPEC.number) {
-        out[k] = normalizeNumber(raw?.[k]);
+        out[k] = normalizeNumber(raw?.[k], { decimal: decimals[k] });
       }
 
       // Booleans
@@ -72,40 +410,357 @@
         out[k] = coerceBoolean(raw?.[k]);
       }
 
+      // Single date -> parts; unreadable text is kept in _dateText so validateRow can flag it
+      const dateInput = getDateInput(raw, out);
+      if (dateInput != null) {
+        const parts = parseDate(dateInput);
+        out.rqt_day = parts ? parts.day : '';
+        out.rqt_mth = parts ? parts.month : '';
+        out.rqt_yr = parts ? parts.year : '';
+        if (!parts) out._dateText = String(dateInput).trim();
+      }
+
       // Date padding
       out.rqt_day = out.rqt_day ? String(out.rqt_day).padStart(2, '0') : '';
       out.rqt_mth = out.rqt_mth ? String(out.rqt_mth).padStart(2, '0') : '';
       out.rqt_yr  = out.rqt_yr  ? String(out.rqt_yr).padStart(4, '0') : '';
 
+      // Optional metadata (source image, regions, confidence); kept only when well-formed
+      if (Number.isInteger(raw?._sourceIndex)) out._sourceIndex = raw._sourceIndex;
+      const page = Number(raw?._page);
+      if (Number.isInteger(page) && page > 0) out._page = page;
+      const bbox = normalizeBox(raw?._bbox);
+      if (bbox) out._bbox = bbox;
+      const confidence = normalizeConfidence(raw?._confidence);
+      if (confidence != null) out._confidence = confidence;
+      if (raw?._fields && typeof raw._fields === 'object') {
+        const fieldMeta = {};
+        for (const [k, meta] of Object.entries(raw._fields)) {
+          const fb = normalizeBox(meta?.bbox);
+          const fc = normalizeConfidence(meta?.confidence);
+          if (fb || fc != null) fieldMeta[k] = { bbox: fb, confidence: fc };
+        }
+        if (Object.keys(fieldMeta).length) out._fields = fieldMeta;
+      }
+
       return out;
     });
   }
 
-  function safeJsonExtract(text) {
-    if (!text) return [];
+  // [ymin, xmin, ymax, xmax] clamped to 0-1000, or null when malformed/empty
+  function normalizeBox(value) {
+    if (!Array.isArray(value) || value.length !== 4) return null;
+    const nums = value.map(Number);
+    if (!nums.every(Number.isFinite)) return null;
+    const [ymin, xmin, ymax, xmax] = nums.map(n => Math.max(0, Math.min(1000, n)));
+    if (ymax <= ymin || xmax <= xmin) return null;
+    return [ymin, xmin, ymax, xmax];
+  }
+
+  // 0-1; percentages (e.g. 85) are scaled down
+  function normalizeConfidence(value) {
+    const n = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(n) || n < 0) return null;
+    return Math.min(1, n > 1 ? n / 100 : n);
+  }
+
+  // options as for normalizeNumber; extractDocument passes the decimal separator detected for the document
+  function normalizeHeader(raw, options) {
+    const out = {};
+    for (const k of HEADER_SPEC.string) {
+      out[k] = String(raw?.[k] ?? '').replace(/\s+/g, ' ').trim();
+    }
+    for (const k of HEADER_SPEC.number) {
+      out[k] = normalizeNumber(raw?.[k], options);
+    }
+    out.currency = out.currency.toUpperCase();
+    return out;
+  }
+
+  /**
+   * Cross-checks header totals against the line items.
+   * Compares sum(amount) with subtotal, and subtotal + gst_total with grand_total, within `tolerance`
+   * (absolute, default AI_OCR.config.totalsTolerance or 0.05). Missing totals are not checked.
+   * @returns {{ linesTotal: number, issues: string[] }}
+   */
+  function checkTotals(header, rows, { tolerance } = {}) {
+    const tol = Number.isFinite(tolerance) ? tolerance : Number(getConfig('totalsTolerance', 0.05));
+    const linesTotal = Math.round((rows || []).reduce((sum, r) => sum + (Number.isFinite(r?.amount) ? r.amount : 0), 0) * 100) / 100;
+    const issues = [];
+    const h = header || {};
+    if (Number.isFinite(h.subtotal) && Math.abs(h.subtotal - linesTotal) > tol) {
+      issues.push(`Line amounts add up to ${linesTotal.toFixed(2)} but the subtotal is ${h.subtotal.toFixed(2)}.`);
+    }
+    if (Number.isFinite(h.grand_total)) {
+      const base = Number.isFinite(h.subtotal) ? h.subtotal : linesTotal;
+      const expected = base + (Number.isFinite(h.gst_total) ? h.gst_total : 0);
+      if (Math.abs(h.grand_total - expected) > tol) {
+        issues.push(`Subtotal plus GST is ${expected.toFixed(2)} but the grand total is ${h.grand_total.toFixed(2)}.`);
+      }
+    }
+    return { linesTotal, issues };
+  }
+
+  // Tolerances and GST rate for validateRow; each can be overridden via AI_OCR.config.validation
+  const VALIDATION_DEFAULTS = Object.freeze({
+    tolerance: 0.01,          // absolute, in currency units
+    relativeTolerance: 0.005, // fraction of the larger value; covers unit prices rounded to 2 decimals
+    gstRate: 9                // percent
+  });
+
+  function getValidationOptions(overrides) {
+    return { ...VALIDATION_DEFAULTS, ...(getConfig('validation', null) || {}), ...(overrides || {}) };
+  }
+
+  function isNum(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+  }
+
+  function isRealDate(day, month, year) {
+    if (![day, month, year].every(p => /^\d+$/.test(p))) return false;
+    const d = Number(day), m = Number(month), y = Number(year);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return y >= 1000 && date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+  }
+
+  /**
+   * Checks that a normalized row is internally consistent. Checks whose inputs are missing are skipped.
+   *  - amount ≈ unit_price × qty                             (error)
+   *  - qty × unit_list × (1 − disc_pct/100) ≈ line amount      (warning; list prices are often indicative)
+   *  - unit_w_gst ≈ unit_price × (1 + gstRate/100) when gst   (warning; = unit_price when not)
+   *  - qty_uomstk ≈ qty × conv                               (error)
+   *  - disc_pct within 0-100, rqt_day/rqt_mth/rqt_yr a real date (errors)
+   *  - a date column that could not be read (_dateText) while the parts are still empty (error)
+   * @param {object} row - A row as returned by normalizeAndValidate.
+   * @param {{ tolerance?: number, relativeTolerance?: number, gstRate?: number }} [options]
+   * @returns {{ valid: boolean, errors: Issue[], warnings: Issue[] }}
+   *   Issue: { code: string, fields: string[], message: string }
+   */
+  function validateRow(row, options) {
+    const opts = getValidationOptions(options);
+    const errors = [];
+    const warnings = [];
+    const r = row || {};
+    const near = (a, b) => Math.abs(a - b) <= Math.max(opts.tolerance, opts.relativeTolerance * Math.max(Math.abs(a), Math.abs(b)));
+    const fmt = (n) => String(Math.round(n * 10000) / 10000);
+
+    if (isNum(r.qty) && isNum(r.unit_price) && isNum(r.amount) && !near(r.qty * r.unit_price, r.amount)) {
+      errors.push({
+        code: 'amount_mismatch',
+        fields: ['qty', 'unit_price', 'amount'],
+        message: `qty × unit_price is ${fmt(r.qty * r.unit_price)} but amount is ${fmt(r.amount)}`
+      });
+    }
+
+    if (isNum(r.disc_pct) && (r.disc_pct < 0 || r.disc_pct > 100)) {
+      errors.push({ code: 'discount_range', fields: ['disc_pct'], message: `disc_pct ${fmt(r.disc_pct)} is outside 0-100` });
+    } else if (isNum(r.unit_list)) {
+      const netUnit = r.unit_list * (1 - (isNum(r.disc_pct) ? r.disc_pct : 0) / 100);
+      const qty = isNum(r.qty) ? r.qty : 1;
+      const line = isNum(r.amount) && isNum(r.qty) ? r.amount : (isNum(r.unit_price) ? r.unit_price * qty : null);
+      if (line != null && !near(netUnit * qty, line)) {
+        warnings.push({
+          code: 'discount_mismatch',
+          fields: ['unit_list', 'disc_pct', 'unit_price'],
+          message: `unit_list less disc_pct gives ${fmt(netUnit * qty)} but the line is ${fmt(line)}`
+        });
+      }
+    }
+
+    if (isNum(r.unit_w_gst) && isNum(r.unit_price)) {
+      const expected = r.gst ? r.unit_price * (1 + opts.gstRate / 100) : r.unit_price;
+      if (!near(expected, r.unit_w_gst)) {
+        warnings.push({
+          code: 'gst_mismatch',
+          fields: ['unit_w_gst', 'unit_price', 'gst'],
+          message: r.gst
+            ? `unit_price plus ${opts.gstRate}% GST is ${fmt(expected)} but unit_w_gst is ${fmt(r.unit_w_gst)}`
+            : `GST does not apply, so unit_w_gst should equal unit_price (${fmt(expected)}) but is ${fmt(r.unit_w_gst)}`
+        });
+      }
+    }
+
+    if (isNum(r.qty) && isNum(r.conv) && isNum(r.qty_uomstk) && !near(r.qty * r.conv, r.qty_uomstk)) {
+      errors.push({
+        code: 'conversion_mismatch',
+        fields: ['qty', 'conv', 'qty_uomstk'],
+        message: `qty × conv is ${fmt(r.qty * r.conv)} but qty_uomstk is ${fmt(r.qty_uomstk)}`
+      });
+    }
+
+    const dateParts = [r.rqt_day, r.rqt_mth, r.rqt_yr].map(p => String(p ?? '').trim());
+    if (r._dateText && !dateParts.some(Boolean)) {
+      errors.push({
+        code: 'unreadable_date',
+        fields: ['rqt_day', 'rqt_mth', 'rqt_yr'],
+        message: `"${r._dateText}" could not be read as a date`
+      });
+    } else if (dateParts.some(Boolean) && !isRealDate(...dateParts)) {
+      errors.push({
+        code: 'invalid_date',
+        fields: ['rqt_day', 'rqt_mth', 'rqt_yr'],
+        message: `rqt_day/rqt_mth/rqt_yr "${dateParts.join('/')}" is not a valid date`
+      });
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  // validateRow for each row; results are index-aligned with `rows`
+  function validateRows(rows, options) {
+    return (rows || []).map(r => validateRow(r, options));
+  }
+
+  function parseLooseJson(text) {
     const cleaned = String(text)
       .replace(/```(?:json)?/g, '')
       .replace(/```/g, '')
       .trim();
     try {
-      return normalizeAndValidate(JSON.parse(cleaned));
+      return JSON.parse(cleaned);
     } catch (_) {
-      const start = cleaned.indexOf('[');
-      const end = cleaned.lastIndexOf(']');
-      if (start !== -1 && end !== -1 && end > start) {
-        try {
-          return normalizeAndValidate(JSON.parse(cleaned.slice(start, end + 1)));
-        } catch (_) {}
+      // Scrape the outermost object or array out of surrounding prose
+      for (const [open, close] of [['{', '}'], ['[', ']']]) {
+        const start = cleaned.indexOf(open);
+        const end = cleaned.lastIndexOf(close);
+        if (start !== -1 && end !== -1 && end > start) {
+          try {
+            return JSON.parse(cleaned.slice(start, end + 1));
+          } catch (_) {}
+        }
+      }
+    }
+    return null;
+  }
+
+  // Accepts either a bare items array or a { header, items } document
+  // Pulls { header, items } out of a model reply as written, without normalizing anything
+  function parseDocument(text) {
+    const parsed = text ? parseLooseJson(text) : null;
+    if (parsed && !Array.isArray(parsed) && typeof parsed === 'object' && ('items' in parsed || 'header' in parsed)) {
+      return { header: parsed.header || null, items: Array.isArray(parsed.items) ? parsed.items : [] };
+    }
+    return { header: null, items: parsed ? (Array.isArray(parsed) ? parsed : [parsed]) : [] };
+  }
+
+  /**
+   * Normalizes a parsed document. Number formats are detected across all `items` at once, so a document
+   * read in several replies should be passed whole rather than one reply at a time.
+   * @param {{ header: object|null, items: Array<object> }} doc - As returned by parseDocument.
+   * @returns {{ header: object|null, items: Array<object> }}
+   */
+  function normalizeDocument({ header, items }) {
+    const rows = items || [];
+    // The header's totals are written like the line amounts
+    const decimal = header && resolveDecimals([header, ...rows], [...HEADER_SPEC.number, ...FIELD_SPEC.number]).subtotal;
+    return {
+      header: header ? normalizeHeader(header, { decimal }) : null,
+      items: normalizeAndValidate(rows)
+    };
+  }
+
+  function extractDocument(text) {
+    return normalizeDocument(parseDocument(text));
+  }
+
+  function safeJsonExtract(text) {
+    return extractDocument(text).items;
+  }
+
+  // Reads a host override from window.AI_OCR.config by dotted path, e.g. getConfig('providers.openai', {})
+  function getConfig(path, fallback) {
+    let cur = global.AI_OCR && global.AI_OCR.config;
+    for (const key of String(path || '').split('.').filter(Boolean)) {
+      if (cur == null || typeof cur !== 'object') return fallback;
+      cur = cur[key];
+    }
+    return cur === undefined ? fallback : cur;
+  }
+
+  // ---------------- Lifecycle hooks ----------------
+  // beforeExtract(files, ctx), afterExtract(rows, raw, ctx), transformRow(row, index, ctx),
+  // beforeAddRow(row, index, { dryRun }), afterAddRow(row, index, rowId), onError(err, ctx)
+  const HOOK_NAMES = Object.freeze(['beforeExtract', 'afterExtract', 'transformRow', 'beforeAddRow', 'afterAddRow', 'onError']);
+  const hookHandlers = Object.fromEntries(HOOK_NAMES.map(name => [name, []]));
+
+  // Registers a handler; returns a function that removes it again
+  function onHook(name, handler) {
+    if (!HOOK_NAMES.includes(name)) throw new Error(`Unknown AI OCR hook "${name}". Use one of: ${HOOK_NAMES.join(', ')}.`);
+    if (typeof handler !== 'function') throw new Error(`The "${name}" hook handler must be a function.`);
+    hookHandlers[name].push(handler);
+    return () => {
+      const at = hookHandlers[name].indexOf(handler);
+      if (at !== -1) hookHandlers[name].splice(at, 1);
+    };
+  }
+
+  // Handlers set as AI_OCR.hooks.<name> run first, then those added with AI_OCR.on
+  function getHookHandlers(name) {
+    const declared = global.AI_OCR && global.AI_OCR.hooks && global.AI_OCR.hooks[name];
+    return [...(typeof declared === 'function' ? [declared] : []), ...(hookHandlers[name] || [])];
+  }
+
+  // Passes `value` through every handler of a hook in turn (awaiting async ones). A handler may return a
+  // replacement value, nothing (keep the value, possibly changed in place), or false/null to veto; the
+  // result is then false. Errors thrown by a handler propagate to the caller.
+  async function runHook(name, value, ...args) {
+    let current = value;
+    for (const handler of getHookHandlers(name)) {
+      const result = await handler(current, ...args);
+      if (result === false || result === null) return false;
+      if (result !== undefined) current = result;
+    }
+    return current;
+  }
+
+  // Reports an error to the onError handlers without letting them throw into the failing code path
+  function notifyError(err, context = {}) {
+    for (const handler of getHookHandlers('onError')) {
+      try {
+        Promise.resolve(handler(err, context)).catch(e => console.warn('AI OCR onError hook failed:', e));
+      } catch (e) {
+        console.warn('AI OCR onError hook failed:', e);
       }
     }
-    return [];
   }
 
+  global.AI_OCR = global.AI_OCR || {};
+  global.AI_OCR.on = onHook;
+
   global.aiOcrUtils = {
     FIELD_SPEC,
+    FIELD_ORDER,
+    FIELD_HINTS,
+    LOCATE_FIELDS,
+    listFields,
+    describeFields,
+    describeLocation,
+    buildResponseSchema,
+    toExampleRow,
+    HEADER_SPEC,
+    HEADER_HINTS,
+    listHeaderFields,
+    describeHeaderFields,
+    normalizeHeader,
+    checkTotals,
+    validateRow,
+    validateRows,
     normalizeNumber,
+    detectDecimalSeparator,
+    resolveDecimals,
+    DATE_FIELD,
+    parseDate,
     coerceBoolean,
     normalizeAndValidate,
     safeJsonExtract,
+    parseLooseJson,
+    parseDocument,
+    normalizeDocument,
+    extractDocument,
+    getConfig,
+    HOOK_NAMES,
+    onHook,
+    runHook,
+    notifyError,
   };
 })();
\ No newline at end of file
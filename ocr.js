@@ -1,6 +1,7 @@
 /**
  * @file AI OCR Library (Refactored)
- * @description Self-contained OCR UI and client for Google Gemini. Focused on clarity and maintainability.
+ * @description Self-contained OCR UI and client for pluggable vision providers (Gemini by default, see
+ *              ocr-providers.js). Focused on clarity and maintainability.
  */
 document.addEventListener('DOMContentLoaded', () => {
   initAiOcr();
@@ -21,23 +22,41 @@ function initAiOcr() {
     uploadBtn: 'ai-ocr-UploadBtn',
     csvFileInput: 'ai-ocr-csv-file-input',
     csvMapContainer: 'ai-ocr-csv-map',
+    csvSheetContainer: 'ai-ocr-csv-sheet',
     csvApplyBtn: 'ai-ocr-csv-apply',
     progressText: 'ai-ocr-progress-text',
-    progressFill: 'ai-ocr-progress-fill'
+    progressFill: 'ai-ocr-progress-fill',
+    cancel: 'ai-ocr-cancel',
+    pause: 'ai-ocr-pause',
+    undo: 'ai-ocr-undo',
+    exportLast: 'ai-ocr-export-last',
+    uploadView: 'ai-ocr-upload-view',
+    review: 'ai-ocr-review'
   });
   const CONFIG = Object.freeze({
     images: { maxSizeKB: 100, jpegQualityStart: 0.9, jpegQualityMin: 0.1, jpegQualityStep: 0.1 },
-    api: { defaultModel: 'gemini-2.5-flash', retries: 3, retryDelayMs: 2000 }
+    pdf: {
+      renderScale: 2,
+      libUrl: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js',
+      workerUrl: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js'
+    },
+    // retries/backoff/timeout overridable via AI_OCR.config.api
+    api: { defaultModel: 'gemini:gemini-2.5-flash', retries: 4, retryBaseDelayMs: 1000, retryMaxDelayMs: 30000, timeoutMs: 120000 },
+    // Overridable via AI_OCR.config.batching
+    batching: { pagesPerRequest: 1, concurrency: 2 },
+    // Overridable via AI_OCR.config.locate / .lowConfidence / .header
+    review: { locate: true, lowConfidence: 0.6, header: true }
   });
   // ==========================================================================================
   // SECTION: State
   // ==========================================================================================
-  const state = { files: [], apiKey: '', csv: { rows: [], headers: [], mapping: null } };
+  const state = { files: [], excluded: new Set(), apiKey: '', csv: { rows: [], headers: [], mapping: null, transforms: {}, sheet: null }, review: null, abortController: null, lastRun: null };
   // ==========================================================================================
   // SECTION: Bootstrap
   // ==========================================================================================
   injectAiOcrStyles();
   injectAiOcrUi();
+  renderModelOptions();
   // Cache DOM
   const dom = {
     modal: document.getElementById(CSS_IDS.modal),
@@ -52,15 +71,24 @@ function initAiOcr() {
     lightbox: document.getElementById(CSS_IDS.lightbox),
     csvFileInput: document.getElementById(CSS_IDS.csvFileInput),
     csvMapContainer: document.getElementById(CSS_IDS.csvMapContainer),
+    csvSheetContainer: document.getElementById(CSS_IDS.csvSheetContainer),
     csvApplyBtn: document.getElementById(CSS_IDS.csvApplyBtn),
     progressText: document.getElementById(CSS_IDS.progressText),
-    progressFill: document.getElementById(CSS_IDS.progressFill)
+    progressFill: document.getElementById(CSS_IDS.progressFill),
+    cancelBtn: document.getElementById(CSS_IDS.cancel),
+    pauseBtn: document.getElementById(CSS_IDS.pause),
+    undoBtn: document.getElementById(CSS_IDS.undo),
+    exportLast: document.getElementById(CSS_IDS.exportLast),
+    uploadView: document.getElementById(CSS_IDS.uploadView),
+    review: document.getElementById(CSS_IDS.review)
   };
   // Bind events
   bindModalEvents();
   bindDropUploadEvents();
   bindCsvImport();
   bindSubmit();
+  bindUndo();
+  bindExport();
   // ==========================================================================================
   // SECTION: Event Bindings
   // ==========================================================================================
@@ -86,41 +114,188 @@ function initAiOcr() {
   }
   function bindSubmit() {
     dom.submitBtn?.addEventListener('click', async () => {
-      if (state.files.length === 0) { alert('Please upload at least one image.'); return; }
-      state.apiKey = getApiKey();
-      if (!state.apiKey) { alert('A valid Gemini API key is required to proceed.'); return; }
+      const selectedFiles = state.files.filter(f => !state.excluded.has(f));
+      if (selectedFiles.length === 0) { alert('Please upload at least one image or PDF page.'); return; }
+      const provider = getSelectedProvider();
+      if (!provider) { alert('No OCR provider is available. Please ensure ocr-providers.js is loaded.'); return; }
+      state.apiKey = getApiKey(provider);
+      if (provider.requiresApiKey && !state.apiKey) { alert(`A valid ${provider.label} API key is required to proceed.`); return; }
+      const controller = new AbortController();
+      state.abortController = controller;
       setOverlayVisible(true);
+      setOverlayCancel(() => {
+        controller.abort();
+        setProgressText('Cancelling…');
+      });
       setProgressText('Compressing images...');
       try {
-        const compressed = await Promise.all(state.files.map(compressImage));
-        setProgressText('Sending to AI model...');
-        const results = await getOcrResults(compressed);
-        if (results && Array.isArray(results) && results.length) {
-          if (typeof window.$addRows === 'function') {
-            setProgressCount('Adding rows', 0, results.length);
-            await window.$addRows(results, {
-              onProgress: (current, total) => setProgressCount('Adding rows', current, total)
-            });
-          } else {
-            console.warn('$addRows is not available on window. Skipping automatic row fill.');
-          }
+        const files = await runHook('beforeExtract', selectedFiles, { source: 'ocr' });
+        if (!files) return;
+        const compressed = await Promise.all(files.map(compressImage));
+        if (controller.signal.aborted) throw ocrError('cancelled', 'OCR was cancelled.');
+        setProgressCount('Extracting pages', 0, compressed.length);
+        const { rows: extracted, header, responses, failures } = await extractInBatches(compressed, (done, total, failed) => {
+          setProgressCount(failed ? `Extracting pages (${failed} failed)` : 'Extracting pages', done, total);
+        }, controller.signal);
+        const sources = await Promise.all(compressed.map(readFileAsDataURL));
+        for (const f of failures) reportError(f.error, { source: 'ocr', stage: 'extract', pages: f.pages });
+        const raw = { source: 'ocr', header, responses, failures };
+        const results = await prepareRows(extracted, raw, { source: 'ocr' });
+        setOverlayVisible(false);
+        if (!results) return;
+        if (failures.length) {
+          const lines = failures.map(f => `Page ${f.pages.map(i => i + 1).join(', ')}: ${describeOcrError(f.error)}`);
+          alert(`Some pages could not be processed. Rows from the other pages are shown for review.\n\n${lines.join('\n')}`);
+        }
+        if (!results.length) {
+          alert('No line items were found in the uploaded pages.');
+          return;
         }
-        resetAfterSubmission();
+        openReview(results, { sources, header: raw.header, onApplied: () => resetAfterSubmission() });
       } catch (err) {
+        if (err?.kind === 'cancelled') {
+          console.info('OCR cancelled by the user.');
+          return;
+        }
         console.error('Error during OCR processing:', err);
-        alert('An error occurred during OCR processing. Please check the console for details.');
+        reportError(err, { source: 'ocr', stage: 'extract' });
+        if (err?.kind === 'auth') forgetApiKey(provider);
+        alert(describeOcrError(err));
       } finally {
+        state.abortController = null;
         setOverlayVisible(false);
       }
     });
   }
 
+  function bindUndo() {
+    dom.undoBtn?.addEventListener('click', () => undoLastImport());
+  }
+
+  function bindExport() {
+    dom.exportLast?.addEventListener('click', (e) => {
+      const { format, source } = e.target?.dataset || {};
+      if (!format) return;
+      if (source === 'form') {
+        exportFormRows(format);
+      } else if (state.lastRun) {
+        exportRows(format, state.lastRun.rows, state.lastRun.header);
+      }
+    });
+  }
+
+  /**
+   * Downloads rows as CSV, JSON or XLSX via aiOcrCsv.exportRows.
+   * @param {'csv'|'json'|'xlsx'} format
+   * @param {Array<object>} rows - Normalized rows.
+   * @param {object|null} [header] - Document header, included in JSON and XLSX exports.
+   */
+  async function exportRows(format, rows, header = null) {
+    if (!window.aiOcrCsv?.exportRows) {
+      alert('Export needs csv-import.js. Please ensure it is included.');
+      return;
+    }
+    try {
+      await window.aiOcrCsv.exportRows(rows, format, { header });
+    } catch (e) {
+      console.error('Export failed:', e);
+      alert(`Export failed: ${e?.message || e}`);
+    }
+  }
+
+  // Reads the lines currently on the host form with $readRows and exports them
+  function exportFormRows(format) {
+    if (typeof window.$readRows !== 'function') {
+      alert('Reading form rows needs add_rows.js. Please ensure it is included.');
+      return;
+    }
+    const rows = window.$readRows();
+    if (!rows.length) {
+      alert('The form has no filled rows to export.');
+      return;
+    }
+    exportRows(format, rows);
+  }
+
+  /**
+   * Asks for confirmation, then reverts the last import via AI_OCR.undoLast and reports the outcome.
+   * @returns {Promise<boolean>} True if an import was undone.
+   */
+  async function undoLastImport() {
+    if (typeof window.AI_OCR?.undoLast !== 'function' || !window.AI_OCR.canUndo()) return false;
+    if (!confirm('Undo the last import? Rows it added are cleared and values it overwrote are restored.')) return false;
+    try {
+      const report = await window.AI_OCR.undoLast();
+      const lines = [`Restored ${report.restored} field${report.restored === 1 ? '' : 's'}${report.removed ? ` and removed ${report.removed} row${report.removed === 1 ? '' : 's'}` : ''}.`];
+      if (report.conflicts.length) {
+        lines.push(`${report.conflicts.length} field${report.conflicts.length === 1 ? ' was' : 's were'} edited after the import and left as is: ${report.conflicts.join(', ')}.`);
+      }
+      alert(lines.join('\n'));
+      return report.undone;
+    } catch (e) {
+      console.error('Undo failed:', e);
+      alert(`Undo failed: ${e?.message || e}`);
+      return false;
+    } finally {
+      refreshUndoButton();
+    }
+  }
+
   // CSV Import binding
   function bindCsvImport() {
     if (!dom.csvFileInput || !dom.csvMapContainer || !dom.csvApplyBtn) return;
     dom.csvApplyBtn.disabled = true;
 
     let mappingGetter = null;
+    let transformsGetter = null;
+    let workbook = null;
+
+    // Shows the mapping UI for parsed records: a CSV file, or the chosen sheet and header row of a workbook
+    function showMapping(data, fields) {
+      state.csv.rows = Array.isArray(data) ? data : [];
+      state.csv.headers = fields || Object.keys(state.csv.rows[0] || {});
+
+      const targetFields = [
+        ...FIELD_SPEC.string,
+        ...FIELD_SPEC.number,
+        ...FIELD_SPEC.boolean,
+        // One date column, split into rqt_day/rqt_mth/rqt_yr on normalization
+        ...(window.aiOcrUtils?.DATE_FIELD ? [window.aiOcrUtils.DATE_FIELD] : [])
+      ];
+      // Use enhanced reverse mapping (header -> target) for better autosuggestions
+      const initialMapping = window.aiOcrCsv.buildDefaultReverseMapping(state.csv.headers, targetFields);
+      const previewRows = state.csv.rows.slice(0, 5);
+      const ui = window.aiOcrCsv.renderMappingUI(
+        dom.csvMapContainer,
+        state.csv.headers,
+        targetFields,
+        initialMapping,
+        (cur, transforms) => { state.csv.mapping = cur; state.csv.transforms = transforms || {}; },
+        previewRows
+      );
+      mappingGetter = ui?.getMapping || null;
+      transformsGetter = ui?.getTransforms || null;
+      dom.csvApplyBtn.disabled = false;
+    }
+
+    // Renders the sheet picker for a workbook sheet; the header row is guessed until the user picks one
+    function showSheet(sheetNames, sheet) {
+      const table = window.aiOcrCsv.readSheetTable(workbook, sheet);
+      const headerRow = window.aiOcrCsv.guessHeaderRow(table);
+      const applySelection = (row) => {
+        state.csv.sheet = { name: sheet, headerRow: row };
+        const { data, meta } = window.aiOcrCsv.tableToRecords(table, row);
+        showMapping(data, meta.fields);
+      };
+      window.aiOcrCsv.renderSheetPicker(dom.csvSheetContainer, {
+        sheetNames,
+        sheet,
+        headerRow,
+        table,
+        onChange: (sel) => (sel.sheetChanged ? showSheet(sheetNames, sel.sheet) : applySelection(sel.headerRow))
+      });
+      applySelection(headerRow);
+    }
 
     dom.csvFileInput.addEventListener('change', async () => {
       const file = dom.csvFileInput.files?.[0];
@@ -130,31 +305,27 @@ function initAiOcr() {
         return;
       }
       try {
-        const { data, meta } = await window.aiOcrCsv.parseCsvFile(file);
-        state.csv.rows = Array.isArray(data) ? data : [];
-        state.csv.headers = meta?.fields || Object.keys(state.csv.rows[0] || {});
-
-        const targetFields = [
-          ...FIELD_SPEC.string,
-          ...FIELD_SPEC.number,
-          ...FIELD_SPEC.boolean
-        ];
-        // Use enhanced reverse mapping (header -> target) for better autosuggestions
-        const initialMapping = window.aiOcrCsv.buildDefaultReverseMapping(state.csv.headers, targetFields);
-        const previewRows = state.csv.rows.slice(0, 5);
-        const ui = window.aiOcrCsv.renderMappingUI(
-          dom.csvMapContainer,
-          state.csv.headers,
-          targetFields,
-          initialMapping,
-          (cur) => { state.csv.mapping = cur; },
-          previewRows
-        );
-        mappingGetter = ui?.getMapping || null;
-        dom.csvApplyBtn.disabled = false;
+        const files = await runHook('beforeExtract', [file], { source: 'csv' });
+        if (!files || !files[0]) {
+          dom.csvFileInput.value = '';
+          return;
+        }
+        workbook = null;
+        state.csv.sheet = null;
+        if (dom.csvSheetContainer) dom.csvSheetContainer.innerHTML = '';
+        if (window.aiOcrCsv.isSpreadsheetFile(files[0])) {
+          const book = await window.aiOcrCsv.readWorkbook(files[0]);
+          workbook = book.workbook;
+          if (!book.sheetNames.length) throw new Error('The workbook has no sheets.');
+          showSheet(book.sheetNames, book.sheetNames[0]);
+        } else {
+          const { data, meta } = await window.aiOcrCsv.parseCsvFile(files[0]);
+          showMapping(data, meta?.fields);
+        }
       } catch (e) {
         console.error('CSV parse error:', e);
-        alert('Failed to parse CSV. Please check the file format.');
+        reportError(e, { source: 'csv', stage: 'extract' });
+        alert('Failed to read the file. Please check that it is a valid CSV or Excel workbook.');
       }
     });
 
@@ -162,44 +333,309 @@ function initAiOcr() {
       if (!state.csv.rows?.length || !state.csv.mapping) { alert('Please select a CSV and configure the mapping first.'); return; }
       try {
         const mapping = mappingGetter ? mappingGetter() : state.csv.mapping;
-        const mapped = window.aiOcrCsv.applyMapping(state.csv.rows, mapping);
-        const normalizer = (window.aiOcrUtils && window.aiOcrUtils.normalizeAndValidate) ? window.aiOcrUtils.normalizeAndValidate : normalizeAndValidate;
-        const normalized = normalizer(mapped);
-        if (normalized && normalized.length && typeof window.$addRows === 'function') {
-          setOverlayVisible(true);
-          setProgressCount('Adding rows', 0, normalized.length);
-          await window.$addRows(normalized, {
-            onProgress: (current, total) => setProgressCount('Adding rows', current, total)
+        const transforms = transformsGetter ? transformsGetter() : state.csv.transforms;
+        const mapped = window.aiOcrCsv.applyMapping(state.csv.rows, mapping, transforms);
+        if (!window.aiOcrUtils) throw new Error('ocr-utils.js is not loaded.');
+        const raw = { source: 'csv', rows: state.csv.rows, headers: state.csv.headers, mapping, transforms, sheet: state.csv.sheet || null };
+        const normalized = await prepareRows(window.aiOcrUtils.normalizeAndValidate(mapped), raw, { source: 'csv' });
+        if (!normalized) return;
+        if (normalized.length) {
+          openReview(normalized, {
+            onApplied: () => {
+              state.csv = { rows: [], headers: [], mapping: null, transforms: {}, sheet: null };
+              dom.csvMapContainer.innerHTML = '';
+              if (dom.csvSheetContainer) dom.csvSheetContainer.innerHTML = '';
+              dom.csvFileInput.value = '';
+              dom.csvApplyBtn.disabled = true;
+              closeModal();
+            }
           });
-          // Reset
-          state.csv = { rows: [], headers: [], mapping: null };
-          dom.csvMapContainer.innerHTML = '';
-          dom.csvFileInput.value = '';
-          dom.csvApplyBtn.disabled = true;
-          closeModal();
         } else {
-          console.warn('No rows to add or $addRows missing.');
+          console.warn('No rows to add.');
         }
       } catch (e) {
         console.error('CSV to rows error:', e);
+        reportError(e, { source: 'csv', stage: 'transform' });
         alert('Failed to add rows from CSV. See console.');
-      } finally {
-        setOverlayVisible(false);
       }
     });
   }
   // ==========================================================================================
+  // SECTION: Lifecycle Hooks
+  // ==========================================================================================
+  // Hooks live in ocr-utils.js (AI_OCR.hooks / AI_OCR.on); without it values pass through unchanged
+  function runHook(name, value, ...args) {
+    const utils = window.aiOcrUtils;
+    return utils?.runHook ? utils.runHook(name, value, ...args) : Promise.resolve(value);
+  }
+  function reportError(err, context) {
+    window.aiOcrUtils?.notifyError?.(err, context);
+  }
+  /**
+   * Runs extracted rows (OCR or CSV) through the afterExtract and transformRow hooks before review.
+   * @param {Array<object>} rows - Normalized rows.
+   * @param {object} raw - What the rows came from: { source: 'ocr', header, responses, failures } or
+   *   { source: 'csv', rows, headers, mapping }. afterExtract may change raw.header in place.
+   * @param {{ source: 'ocr'|'csv' }} context
+   * @returns {Promise<Array<object>|null>} The rows to review, or null if afterExtract vetoed them.
+   */
+  async function prepareRows(rows, raw, context) {
+    const extracted = await runHook('afterExtract', rows || [], raw, context);
+    if (!extracted) return null;
+    const out = [];
+    for (let i = 0; i < extracted.length; i++) {
+      const row = await runHook('transformRow', extracted[i], i, context);
+      if (row) out.push(row);
+    }
+    return out;
+  }
+  // ==========================================================================================
+  // SECTION: Review Step
+  // ==========================================================================================
+  /**
+   * Shows the editable review grid in place of the upload view. $addRows only runs once the user confirms.
+   * Falls back to adding rows directly if review-grid.js is not loaded.
+   * @param {Array<object>} rows - Normalized rows (may carry _sourceIndex).
+   * @param {{ sources?: string[], header?: object|null, onApplied?: () => void }} [options]
+   *   sources: image URLs by _sourceIndex; header: extracted document header, filled after the rows.
+   */
+  function openReview(rows, { sources = [], header = null, onApplied } = {}) {
+    const confirmRows = async (edited, editedHeader = header) => {
+      try {
+        const result = await addRowsWithProgress(edited);
+        if (result && !result.completed) {
+          reportIncompleteRun(edited, result);
+          return;
+        }
+        if (editedHeader && typeof window.$fillHeader === 'function') await window.$fillHeader(editedHeader, { joinLastImport: true });
+        state.lastRun = { rows: edited, header: editedHeader || null };
+        const finish = () => {
+          closeReview();
+          if (typeof onApplied === 'function') onApplied();
+        };
+        if (result?.summary && dom.review) showImportReport(result, finish);
+        else finish();
+      } catch (e) {
+        console.error('Error adding rows:', e);
+        reportError(e, { stage: 'addRows' });
+        alert('Failed to add rows to the form. See console.');
+      }
+    };
+    if (!window.aiOcrReview || !dom.review) {
+      confirmRows(rows);
+      return;
+    }
+    if (dom.uploadView) dom.uploadView.style.display = 'none';
+    dom.review.style.display = 'block';
+    dom.modal?.querySelector('.ai-ocr-modal-content')?.classList.add('ai-ocr-reviewing');
+    state.review = window.aiOcrReview.renderReviewGrid(dom.review, rows, {
+      sources,
+      header,
+      lowConfidence: Number(getReviewOption('lowConfidence')),
+      onSourceClick: (src, row, bbox) => showInLightbox(src, bbox),
+      onExport: (format, edited, editedHeader) => exportRows(format, edited, editedHeader),
+      onCancel: () => closeReview(),
+      onConfirm: confirmRows
+    });
+    openModal();
+  }
+  function closeReview() {
+    state.review = null;
+    if (dom.review) {
+      dom.review.innerHTML = '';
+      dom.review.style.display = 'none';
+    }
+    if (dom.uploadView) dom.uploadView.style.display = '';
+    dom.modal?.querySelector('.ai-ocr-modal-content')?.classList.remove('ai-ocr-reviewing');
+  }
+  /**
+   * Runs $addRows behind the overlay with Pause/Resume and Stop controls.
+   * @param {Array<object>} rows
+   * @returns {Promise<Array<number>|null>} The $addRows result (see add_rows.js), or null if unavailable.
+   */
+  async function addRowsWithProgress(rows) {
+    if (typeof window.$addRows !== 'function') {
+      console.warn('$addRows is not available on window. Skipping automatic row fill.');
+      return null;
+    }
+    const controller = new AbortController();
+    let paused = null; // { promise, resume } while paused
+    const resume = () => {
+      if (!paused) return;
+      paused.resume();
+      paused = null;
+    };
+    setOverlayVisible(true);
+    setProgressCount('Adding rows', 0, rows.length);
+    setOverlayPause((pause) => {
+      if (pause && !paused) {
+        let release;
+        paused = { promise: new Promise(res => { release = res; }), resume: () => release() };
+        setProgressText('Paused — the current row is finished first');
+      } else if (!pause) {
+        resume();
+      }
+    });
+    setOverlayCancel(() => {
+      controller.abort();
+      resume(); // a paused run must reach the gate to see the abort
+      setProgressText('Stopping…');
+    }, 'Stop');
+    try {
+      return await window.$addRows(rows, {
+        // Stop at a failed row so the rest stay in the review grid and confirming again resumes there
+        stopOnError: true,
+        signal: controller.signal,
+        pauseGate: () => paused && paused.promise,
+        onProgress: (current, total) => setProgressCount('Adding rows', current, total)
+      });
+    } finally {
+      setOverlayVisible(false);
+      refreshUndoButton();
+    }
+  }
+  /** Labels for the $addRows field statuses, in the order the summary lists them. */
+  const FILL_STATUS_LABELS = {
+    written: 'written',
+    recalculated: 'changed by the form',
+    readonly: 'skipped (read-only)',
+    rejected: 'rejected by the form',
+    missing: 'field not found',
+    unmapped: 'not mapped',
+    error: 'failed'
+  };
+  /**
+   * Replaces the review grid with a summary of the $addRows field report: counts per status and a list of
+   * every field that was not simply written.
+   * @param {Array<number>} result - The $addRows result (uses `report` and `summary`).
+   * @param {() => void} onDone - Called when the summary is closed.
+   */
+  function showImportReport(result, onDone) {
+    state.review = null;
+    if (dom.uploadView) dom.uploadView.style.display = 'none';
+    dom.review.innerHTML = '';
+    dom.review.style.display = 'block';
+    dom.modal?.querySelector('.ai-ocr-modal-content')?.classList.remove('ai-ocr-reviewing');
+
+    const wrap = document.createElement('div');
+    wrap.className = 'ai-ocr-import-report';
+    const title = document.createElement('h3');
+    title.textContent = `Imported ${result.length} row${result.length === 1 ? '' : 's'}`;
+    wrap.appendChild(title);
+
+    const counts = document.createElement('ul');
+    counts.className = 'ai-ocr-import-counts';
+    for (const [status, label] of Object.entries(FILL_STATUS_LABELS)) {
+      if (!result.summary[status]) continue;
+      const li = document.createElement('li');
+      li.className = `ai-ocr-status-${status}`;
+      li.textContent = `${result.summary[status]} field${result.summary[status] === 1 ? '' : 's'} ${label}`;
+      counts.appendChild(li);
+    }
+    wrap.appendChild(counts);
+
+    const issues = result.report.flatMap(row => row.fields
+      .filter(field => field.status !== 'written')
+      .map(field => ({ ...field, rowId: row.rowId })));
+    if (issues.length) {
+      const table = document.createElement('table');
+      table.className = 'ai-ocr-import-issues';
+      table.innerHTML = '<thead><tr><th>Form row</th><th>Field</th><th>Value</th><th>Result</th></tr></thead>';
+      const tbody = document.createElement('tbody');
+      for (const issue of issues) {
+        const tr = document.createElement('tr');
+        tr.className = `ai-ocr-status-${issue.status}`;
+        for (const text of [issue.rowId, issue.key, issue.value, FILL_STATUS_LABELS[issue.status] || issue.status]) {
+          const td = document.createElement('td');
+          td.textContent = text == null ? '' : String(text);
+          tr.appendChild(td);
+        }
+        if (issue.message) tr.title = issue.message;
+        tbody.appendChild(tr);
+      }
+      table.appendChild(tbody);
+      wrap.appendChild(table);
+    }
+
+    const footer = document.createElement('div');
+    footer.className = 'ai-ocr-import-footer';
+    const undoBtn = document.createElement('button');
+    undoBtn.type = 'button';
+    undoBtn.textContent = 'Undo this import';
+    undoBtn.disabled = !(typeof window.AI_OCR?.canUndo === 'function' && window.AI_OCR.canUndo());
+    undoBtn.addEventListener('click', async () => {
+      if (await undoLastImport()) closeReview();
+    });
+    const doneBtn = document.createElement('button');
+    doneBtn.type = 'button';
+    doneBtn.textContent = 'Done';
+    doneBtn.addEventListener('click', () => onDone());
+    footer.append(undoBtn, doneBtn);
+    wrap.appendChild(footer);
+    dom.review.appendChild(wrap);
+    openModal();
+  }
+  /**
+   * Keeps the rows that were not added in the review grid so the run can be resumed by confirming again.
+   * @param {Array<object>} rows - The rows passed to $addRows.
+   * @param {Array<number>} result - The $addRows result.
+   */
+  function reportIncompleteRun(rows, result) {
+    const remaining = rows.slice(result.nextIndex);
+    const lines = [
+      result.aborted ? `Stopped after adding ${result.length} of ${rows.length} rows.` : `Row ${result.nextIndex + 1} could not be added: ${result.error?.message || 'unknown error'}.`
+    ];
+    if (result.partialRowId != null) lines.push(`Form row ${result.partialRowId} was only partly filled; check or clear it before continuing.`);
+    if (state.review && remaining.length) {
+      state.review.setRows(remaining);
+      lines.push(`The ${remaining.length} remaining row${remaining.length === 1 ? ' is' : 's are'} still in the review grid; confirm to continue.`);
+    }
+    alert(lines.join('\n'));
+  }
+  // ==========================================================================================
   // SECTION: UI Helpers
   // ==========================================================================================
-  function openModal() { if (dom.modal) dom.modal.style.display = 'block'; }
+  function openModal() {
+    if (dom.modal) dom.modal.style.display = 'block';
+    refreshUndoButton();
+    dom.exportLast?.querySelectorAll('button[data-source="last"]').forEach((btn) => { btn.disabled = !state.lastRun; });
+  }
+  function refreshUndoButton() {
+    if (!dom.undoBtn) return;
+    dom.undoBtn.disabled = !(typeof window.AI_OCR?.canUndo === 'function' && window.AI_OCR.canUndo());
+  }
   function closeModal() { if (dom.modal) dom.modal.style.display = 'none'; }
   function setOverlayVisible(show) {
     if (dom.loadingOverlay) dom.loadingOverlay.style.display = show ? 'flex' : 'none';
     if (!show) {
       setProgressText('');
       setProgressPercent(0);
+      setOverlayCancel(null);
+      setOverlayPause(null);
     }
   }
+  // Shows the overlay's Cancel button wired to `onCancel`, or hides it when null
+  function setOverlayCancel(onCancel, label = 'Cancel') {
+    const btn = dom.cancelBtn || document.getElementById(CSS_IDS.cancel);
+    if (!btn) return;
+    btn.onclick = onCancel ? () => { btn.disabled = true; setOverlayPause(null); onCancel(); } : null;
+    btn.textContent = label;
+    btn.disabled = false;
+    btn.style.display = onCancel ? '' : 'none';
+  }
+  // Shows the Pause/Resume toggle; `onToggle(true)` pauses, `onToggle(false)` resumes. Null hides it.
+  function setOverlayPause(onToggle) {
+    const btn = dom.pauseBtn || document.getElementById(CSS_IDS.pause);
+    if (!btn) return;
+    let isPaused = false;
+    btn.textContent = 'Pause';
+    btn.style.display = onToggle ? '' : 'none';
+    btn.onclick = onToggle ? () => {
+      isPaused = !isPaused;
+      btn.textContent = isPaused ? 'Resume' : 'Pause';
+      onToggle(isPaused);
+    } : null;
+  }
   function setProgressText(text) {
     const el = dom.progressText || document.getElementById(CSS_IDS.progressText);
     if (el) el.textContent = text || '';
@@ -218,6 +654,7 @@ function initAiOcr() {
   }
   function resetAfterSubmission() {
     state.files = [];
+    state.excluded.clear();
     if (dom.previewContainer) dom.previewContainer.innerHTML = '';
     if (dom.fileInput) dom.fileInput.value = '';
     closeModal();
@@ -225,49 +662,172 @@ function initAiOcr() {
   // ==========================================================================================
   // SECTION: File Handling & Preview
   // ==========================================================================================
-  function handleFiles(fileList) {
+  async function handleFiles(fileList) {
     let skipped = 0;
-    for (const file of fileList) {
+    for (const file of Array.from(fileList)) {
+      if (isPdfFile(file)) {
+        try {
+          await addPdfPages(file);
+        } catch (e) {
+          console.error('PDF render error:', e);
+          alert(`Could not read PDF "${file.name}".`);
+        }
+        continue;
+      }
       if (!file?.type?.startsWith('image/')) { skipped++; continue; }
       state.files.push(file);
-      const reader = new FileReader();
-      reader.onload = (evt) => {
-        const src = evt.target?.result;
-        if (!src) return;
-        const img = document.createElement('img');
-        img.src = src;
-        img.className = 'ai-ocr-preview-image';
-        img.addEventListener('click', () => showInLightbox(src));
-        dom.previewContainer?.appendChild(img);
-      };
-      reader.readAsDataURL(file);
+      const item = addPreviewItem(file, file.name);
+      readFileAsDataURL(file).then((src) => setPreviewSource(item, src)).catch(() => {});
     }
     if (skipped > 0) {
-      alert('Only image files (JPG/PNG) are supported in OCR upload. To import CSV, use "Or import CSV" below.');
+      alert('Only image files (JPG/PNG) and PDFs are supported in OCR upload. To import CSV, use "Or import CSV" below.');
     }
   }
-  function showInLightbox(src) {
+  /**
+   * Appends a preview tile with an "Include" toggle; unticking it excludes the file from submission.
+   * @param {File} file - Entry in state.files.
+   * @param {string} label - Caption (file name or "name · p.N").
+   * @returns {HTMLElement} The tile element.
+   */
+  function addPreviewItem(file, label) {
+    const item = document.createElement('div');
+    item.className = 'ai-ocr-preview-item';
+    const img = document.createElement('img');
+    img.className = 'ai-ocr-preview-image';
+    img.alt = label;
+    img.addEventListener('click', () => { if (img.src) showInLightbox(img.src); });
+    const caption = document.createElement('label');
+    caption.className = 'ai-ocr-preview-caption';
+    caption.title = label;
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = true;
+    toggle.addEventListener('change', () => {
+      if (toggle.checked) state.excluded.delete(file); else state.excluded.add(file);
+      item.classList.toggle('ai-ocr-excluded', !toggle.checked);
+    });
+    caption.appendChild(toggle);
+    caption.appendChild(document.createTextNode(` ${label}`));
+    item.appendChild(img);
+    item.appendChild(caption);
+    dom.previewContainer?.appendChild(item);
+    return item;
+  }
+  function setPreviewSource(item, src) {
+    const img = item?.querySelector('img');
+    if (img && src) img.src = src;
+  }
+  // ==========================================================================================
+  // SECTION: PDF Rendering
+  // ==========================================================================================
+  function isPdfFile(file) {
+    return file?.type === 'application/pdf' || /\.pdf$/i.test(file?.name || '');
+  }
+  async function loadPdfJs() {
+    if (window.pdfjsLib) return window.pdfjsLib;
+    await new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = CONFIG.pdf.libUrl;
+      s.async = true;
+      s.onload = resolve;
+      s.onerror = reject;
+      document.head.appendChild(s);
+    });
+    if (!window.pdfjsLib) throw new Error('pdf.js failed to load');
+    window.pdfjsLib.GlobalWorkerOptions.workerSrc = CONFIG.pdf.workerUrl;
+    return window.pdfjsLib;
+  }
+  /**
+   * Renders every page of a PDF to a canvas and queues each page as a JPEG file, so pages go through
+   * compressImage and the OCR batches exactly like uploaded images.
+   * @param {File} file
+   */
+  async function addPdfPages(file) {
+    setOverlayVisible(true);
+    setProgressText(`Loading PDF ${file.name}...`);
+    try {
+      const pdfjs = await loadPdfJs();
+      const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+      const baseName = file.name.replace(/\.pdf$/i, '');
+      for (let pageNo = 1; pageNo <= pdf.numPages; pageNo++) {
+        setProgressCount(`Rendering ${file.name}`, pageNo, pdf.numPages);
+        const page = await pdf.getPage(pageNo);
+        const viewport = page.getViewport({ scale: CONFIG.pdf.renderScale });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        const ctx = canvas.getContext('2d');
+        // PDFs have transparent backgrounds; JPEG would turn them black
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: ctx, viewport }).promise;
+        const blob = await canvasToBlob(canvas, 'image/jpeg', CONFIG.images.jpegQualityStart);
+        const pageFile = new File([blob], `${baseName}-p${pageNo}.jpg`, { type: 'image/jpeg' });
+        state.files.push(pageFile);
+        const item = addPreviewItem(pageFile, `${file.name} · p.${pageNo}`);
+        setPreviewSource(item, canvas.toDataURL('image/jpeg', 0.6));
+        page.cleanup();
+      }
+      pdf.destroy();
+    } finally {
+      setOverlayVisible(false);
+    }
+  }
+  /**
+   * Opens the lightbox, optionally outlining a region.
+   * @param {string} src - Image URL.
+   * @param {number[]|null} [bbox] - [ymin, xmin, ymax, xmax] scaled 0-1000.
+   */
+  function showInLightbox(src, bbox) {
     const box = dom.lightbox;
     if (!box) return;
     const img = box.querySelector('img');
     if (img) img.src = src;
+    const mark = box.querySelector('.ai-ocr-lightbox-highlight');
+    if (mark) {
+      if (Array.isArray(bbox) && bbox.length === 4) {
+        const [ymin, xmin, ymax, xmax] = bbox;
+        Object.assign(mark.style, {
+          display: 'block',
+          top: `${ymin / 10}%`,
+          left: `${xmin / 10}%`,
+          height: `${(ymax - ymin) / 10}%`,
+          width: `${(xmax - xmin) / 10}%`
+        });
+      } else {
+        mark.style.display = 'none';
+      }
+    }
     box.style.display = 'flex';
   }
+  function getReviewOption(key) {
+    return window.aiOcrUtils?.getConfig(key, CONFIG.review[key]) ?? CONFIG.review[key];
+  }
   // ==========================================================================================
   // SECTION: API Key Handling
   // ==========================================================================================
   /**
-   * Retrieves the Gemini API key, first from session storage, then by prompting the user.
+   * Retrieves the API key for a provider, first from session storage, then by prompting the user.
    * The key is stored in session storage to persist for the duration of the browser session.
+   * Providers that do not require a key get their configured `apiKey` option (or an empty string).
+   * @param {object} provider - Entry from window.aiOcrProviders.
    * @returns {string|null} The API key or null if the user cancels the prompt.
    */
-  function getApiKey() {
-    const stored = sessionStorage.getItem('geminiApiKey');
+  function getApiKey(provider) {
+    if (!provider.requiresApiKey) return window.aiOcrProviders.getOptions(provider.id).apiKey || '';
+    const storageKey = provider.apiKeyStorageKey || `${provider.id}ApiKey`;
+    const stored = sessionStorage.getItem(storageKey);
     if (stored) return stored;
-    const entered = prompt('Please enter your Gemini API key:');
-    if (entered) { sessionStorage.setItem('geminiApiKey', entered); return entered; }
+    const entered = prompt(`Please enter your ${provider.label} API key:`);
+    if (entered) { sessionStorage.setItem(storageKey, entered); return entered; }
     return null;
   }
+  // Drops a rejected key so the next submit prompts for a new one
+  function forgetApiKey(provider) {
+    if (!provider?.requiresApiKey) return;
+    sessionStorage.removeItem(provider.apiKeyStorageKey || `${provider.id}ApiKey`);
+    state.apiKey = '';
+  }
   // ==========================================================================================
   // SECTION: Image Compression
   // ==========================================================================================
@@ -314,158 +874,372 @@ function initAiOcr() {
     return new Promise((resolve) => canvas.toBlob((b) => resolve(b), type, quality));
   }
   // ==========================================================================================
-  // SECTION: OCR Parsing & Normalization Helpers
+  // SECTION: Field Spec
   // ==========================================================================================
-  const FIELD_SPEC = Object.freeze({
+  // Prefer the shared spec so fields added in ocr-utils.js flow through; the copy below only lists the
+  // mapping targets. Normalization itself always goes through ocr-utils.js (numberLocale, dates, decimals).
+  const FIELD_SPEC = window.aiOcrUtils?.FIELD_SPEC || Object.freeze({
     string: ['code','brand','desc_short','desc_long','uom','uomstk','acct_disp','dept_disp','proj_disp','rqt_day','rqt_mth','rqt_yr','batchnum'],
     number: ['qty','unit_list','disc_pct','unit_price','amount','unit_w_gst','conv','qty_uomstk','uprice_uomstk'],
     boolean: ['gst']
   });
-  function normalizeNumber(value) {
-    if (value == null) return null;
-    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
-    const str = String(value).replace(/[\s,]/g,'').replace(/[$]/g,'').replace(/[A-Za-z%]+/g,'');
-    const num = parseFloat(str);
-    return Number.isFinite(num) ? num : null;
-  }
-  function coerceBoolean(value) {
-    if (typeof value === 'boolean') return value;
-    if (typeof value === 'number') return value > 0;
-    if (typeof value === 'string') {
-      const s = value.trim().toLowerCase();
-      if (['y','yes','true','t','1','gst','incl','included'].includes(s)) return true;
-      const n = normalizeNumber(value);
-      return n != null ? n > 0 : false;
-    }
-    return false;
-  }
-  function normalizeAndValidate(items) {
-    const arr = Array.isArray(items) ? items : (items ? [items] : []);
-    return arr.map((raw) => {
-      const out = {};
-      for (const k of FIELD_SPEC.string) {
-        let v = raw?.[k];
-        if (v == null) v = '';
-        v = Array.isArray(v) ? v.join(' ') : v;
-        out[k] = String(v ?? '').replace(/\s+/g,' ').trim();
-      }
-      for (const k of FIELD_SPEC.number) { out[k] = normalizeNumber(raw?.[k]); }
-      for (const k of FIELD_SPEC.boolean) { out[k] = coerceBoolean(raw?.[k]); }
-      out.rqt_day = out.rqt_day ? String(out.rqt_day).padStart(2,'0') : '';
-      out.rqt_mth = out.rqt_mth ? String(out.rqt_mth).padStart(2,'0') : '';
-      out.rqt_yr = out.rqt_yr ? String(out.rqt_yr).padStart(4,'0') : '';
-      return out;
-    });
-  }
-  function safeJsonExtract(text) {
-    if (!text) return [];
-    const cleaned = String(text).replace(/```(?:json)?/g,'').replace(/```/g,'').trim();
-    try {
-      return normalizeAndValidate(JSON.parse(cleaned));
-    } catch (_) {
-      const start = cleaned.indexOf('[');
-      const end = cleaned.lastIndexOf(']');
-      if (start !== -1 && end !== -1 && end > start) {
-        try {
-          return normalizeAndValidate(JSON.parse(cleaned.slice(start, end + 1)));
-        } catch (_) {}
-      }
-    }
-    return [];
-  }
   // ==========================================================================================
-  // SECTION: Gemini Client
+  // SECTION: OCR Client
   // ==========================================================================================
-  function buildPrompt() {
-    return [
-      'Task: Extract structured line items from the provided image(s).',
-      'Output must be JSON ONLY: an array of objects. No extra text.',
-      'Fields and types:',
-      '- code: string',
-      '- brand: string',
-      '- desc_short: string (Primary item description, max 55 chars)',
-      '- desc_long: string (Remarks, comments, or descriptions > 55 chars)',
-      '- uom: string',
-      '- qty: number',
-      '- unit_list: number',
-      '- disc_pct: number',
-      '- unit_price: number',
-      '- amount: number',
-      '- unit_w_gst: number',
-      '- conv: number',
-      '- qty_uomstk: number',
-      '- uprice_uomstk: number',
-      '- uomstk: string',
-      '- gst: number (1 if GST applies else 0)',
-      '- acct_disp: string',
-      '- dept_disp: string',
-      '- proj_disp: string',
-      '- rqt_day: string (2-digit, e.g. "05")',
-      '- rqt_mth: string (2-digit, e.g. "09")',
-      '- rqt_yr: string (4-digit, e.g. "2025")',
-      '- batchnum: string',
+  // Partial sample rows; toExampleRow() fills every FIELD_SPEC field so examples track the spec.
+  const PROMPT_EXAMPLES = [
+    { title: 'Full Data', row: { code: 'ABC123', brand: 'Acme', desc_short: 'Widget', desc_long: 'High tensile widget 10mm', uom: 'EA', qty: 10, unit_list: 1.5, disc_pct: 0, unit_price: 1.5, amount: 15, unit_w_gst: 1.61, conv: 1, qty_uomstk: 10, uprice_uomstk: 1.5, uomstk: 'EA', gst: 1, acct_disp: 'S-100', dept_disp: 'D-20', proj_disp: 'P-03', rqt_day: '05', rqt_mth: '09', rqt_yr: '2025', batchnum: 'B123' } },
+    { title: 'Missing Data', row: { code: 'XYZ-987', desc_short: 'Bolt M5', desc_long: 'Stainless Steel Bolt M5x20mm', uom: 'PC', qty: 100, unit_list: 0.2, unit_price: 0.2, amount: 20, conv: 1, qty_uomstk: 100, uprice_uomstk: 0.2, uomstk: 'PC', gst: 0 } },
+    { title: 'Multi-line Description', row: { code: 'G-550', brand: 'Generic', desc_short: 'Grease Lubricant', desc_long: 'High-performance synthetic grease. Temp range: -40C to 150C.', uom: 'TUBE', qty: 2, unit_list: 25, disc_pct: 10, unit_price: 22.5, amount: 45, unit_w_gst: 48.15, conv: 1, qty_uomstk: 2, uprice_uomstk: 22.5, uomstk: 'TUBE', gst: 1, rqt_day: '15', rqt_mth: '10', rqt_yr: '2025' } }
+  ];
+  const PROMPT_EXAMPLE_HEADER = { supplier_name: 'Acme Supplies Pte Ltd', supplier_ref: 'QT-2025-118', doc_no: 'INV-55012', doc_date: '2025-09-05', currency: 'SGD', payment_terms: '30 days', subtotal: 15, gst_total: 1.35, grand_total: 16.35 };
+  /**
+   * Builds the extraction prompt from FIELD_SPEC (via ocr-utils.js).
+   * With `structured`, the response schema carries the field list, so only the task and rules are sent.
+   * With `locate`, the model is also asked for row/field regions and confidences.
+   * With `header`, the output becomes {"header": {...}, "items": [...]} (see HEADER_SPEC in ocr-utils.js).
+   * With `pages` (several images in one request), each line item also names the image it is on (_page).
+   * @param {{ structured?: boolean, locate?: boolean, header?: boolean, pages?: boolean }} [options]
+   * @returns {string}
+   */
+  function buildPrompt({ structured = false, locate = false, header = false, pages = false } = {}) {
+    const utils = window.aiOcrUtils;
+    const pageLines = pages ? ['- _page: in every object, the number of the image the line item is on (1 = first image sent)'] : [];
+    const rules = [
       'Rules:',
       '- If a field is unavailable, use empty string "" for strings and null for numbers.',
       '- Normalize numbers: remove symbols and thousand separators; use dot as decimal.',
-      '- Do not add extra fields.',
+      '- Do not add extra fields.'
+    ];
+    const task = header
+      ? 'Task: Extract the document header and the structured line items from the provided image(s).'
+      : 'Task: Extract structured line items from the provided image(s).';
+    if (structured) {
+      return [
+        task,
+        header ? 'Fill "header" once for the document and "items" with one object per line item, following the response schema.'
+          : 'Return one object per line item, following the response schema.',
+        ...rules,
+        ...(locate ? utils.describeLocation() : []),
+        ...pageLines
+      ].join('\n');
+    }
+    const wrap = (row, i) => (header
+      ? JSON.stringify({ header: utils.normalizeHeader(i === 0 ? PROMPT_EXAMPLE_HEADER : {}), items: [utils.toExampleRow(row)] })
+      : JSON.stringify([utils.toExampleRow(row)]));
+    return [
+      task,
+      header ? 'Output must be JSON ONLY: an object {"header": {...}, "items": [...]}. No extra text.'
+        : 'Output must be JSON ONLY: an array of objects. No extra text.',
+      ...(header ? ['Header fields and types:', ...utils.describeHeaderFields(), 'Line item fields and types:'] : ['Fields and types:']),
+      ...utils.describeFields(),
+      ...(locate ? utils.describeLocation() : []),
+      ...pageLines,
+      ...rules,
       '--- START EXAMPLES ---',
-      'Example 1 (Full Data):',
-      '[{"code":"ABC123","brand":"Acme","desc_short":"Widget","desc_long":"High tensile widget 10mm","uom":"EA","qty":10,"unit_list":1.5,"disc_pct":0,"unit_price":1.5,"amount":15,"unit_w_gst":1.61,"conv":1,"qty_uomstk":10,"uprice_uomstk":1.5,"uomstk":"EA","gst":1,"acct_disp":"S-100","dept_disp":"D-20","proj_disp":"P-03","rqt_day":"05","rqt_mth":"09","rqt_yr":"2025","batchnum":"B123"}]',
-      'Example 2 (Missing Data):',
-      '[{"code":"XYZ-987","brand":"","desc_short":"Bolt M5","desc_long":"Stainless Steel Bolt M5x20mm","uom":"PC","qty":100,"unit_list":0.2,"disc_pct":null,"unit_price":0.2,"amount":20,"unit_w_gst":null,"conv":1,"qty_uomstk":100,"uprice_uomstk":0.2,"uomstk":"PC","gst":0,"acct_disp":"","dept_disp":"","proj_disp":"","rqt_day":"","rqt_mth":"","rqt_yr":"","batchnum":""}]',
-      'Example 3 (Multi-line Description):',
-      '[{"code":"G-550","brand":"Generic","desc_short":"Grease Lubricant","desc_long":"High-performance synthetic grease. Temp range: -40C to 150C.","uom":"TUBE","qty":2,"unit_list":25,"disc_pct":10,"unit_price":22.5,"amount":45,"unit_w_gst":48.15,"conv":1,"qty_uomstk":2,"uprice_uomstk":22.5,"uomstk":"TUBE","gst":1,"acct_disp":"","dept_disp":"","proj_disp":"","rqt_day":"15","rqt_mth":"10","rqt_yr":"2025","batchnum":""}]',
+      ...PROMPT_EXAMPLES.flatMap((ex, i) => [`Example ${i + 1} (${ex.title}):`, wrap(ex.row, i)]),
       '--- END EXAMPLES ---',
-      'Return ONLY the JSON array.'
+      header ? 'Return ONLY the JSON object.' : 'Return ONLY the JSON array.'
     ].join('\n');
   }
   /**
-   * Sends images to the Gemini API and returns the extracted data.
-   * Retries only on 503, all other errors are thrown upward.
+   * Splits images into batches of `pagesPerRequest`, runs up to `concurrency` requests at a time and merges
+   * the rows back in page order. Rows are tagged with `_sourceIndex`, the index of their source image (see
+   * placeRow). A failed batch is recorded and skipped; if every batch fails the first
+   * error is thrown. Header fields are merged across batches, first non-empty value in page order wins.
+   * Rows and header are normalized once all batches are in, so number formats are read per document.
+   * Cancelling `signal` or an auth failure (which every other batch would hit too) stops the run and throws.
    * @param {Array<File>} files
-   * @returns {Promise<Array<object>|null>}
+   * @param {(donePages:number, totalPages:number, failedPages:number) => void} [onProgress]
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{ rows: Array<object>, header: object|null, responses: Array<string|null>,
+   *   failures: Array<{ pages: number[], error: Error }> }>} responses: each batch's model reply text, null if it failed
    */
-  async function getOcrResults(files) {
-    const model = dom.modelSelect?.value || CONFIG.api.defaultModel;
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${state.apiKey}`;
-    const imageParts = await Promise.all(
-      files.map(file => fileToInlineDataPart(file))
-    );
-    const payload = {
-      contents: [{ parts: [{ text: buildPrompt() }, ...imageParts] }],
-      generationConfig: { temperature: 0, topK: 1, topP: 0.1 }
+  async function extractInBatches(files, onProgress, signal) {
+    const opts = { ...CONFIG.batching, ...(window.aiOcrUtils?.getConfig('batching', {}) || {}) };
+    const size = Math.max(1, parseInt(opts.pagesPerRequest, 10) || 1);
+    const concurrency = Math.max(1, parseInt(opts.concurrency, 10) || 1);
+    const batches = [];
+    for (let i = 0; i < files.length; i += size) {
+      batches.push({ start: i, files: files.slice(i, i + size), rows: null, header: null, response: null, error: null });
+    }
+    let done = 0;
+    let failed = 0;
+    let next = 0;
+    let fatal = null;
+    const worker = async () => {
+      while (next < batches.length && !fatal && !signal?.aborted) {
+        const batch = batches[next++];
+        try {
+          const { items, header, response } = await getOcrResults(batch.files, signal) || {};
+          batch.rows = (items || []).map(r => placeRow(r, batch));
+          batch.header = header || null;
+          batch.response = response ?? null;
+        } catch (e) {
+          if (e?.kind === 'cancelled') return;
+          if (e?.kind === 'auth') fatal = fatal || e;
+          console.error(`OCR failed for page(s) ${batch.start + 1}-${batch.start + batch.files.length}:`, e);
+          batch.error = e;
+          failed += batch.files.length;
+        }
+        done += batch.files.length;
+        if (onProgress) {
+          try { onProgress(done, files.length, failed); } catch (_) {}
+        }
+      }
     };
-    let attempts = CONFIG.api.retries;
-    while (attempts > 0) {
+    await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, worker));
+    if (signal?.aborted) throw ocrError('cancelled', 'OCR was cancelled.');
+    if (fatal) throw fatal;
+    const failures = batches.filter(b => b.error).map(b => ({ pages: b.files.map((_, i) => b.start + i), error: b.error }));
+    if (batches.length && failures.length === batches.length) throw failures[0].error;
+    let header = null;
+    for (const b of batches.filter(x => x.header && typeof x.header === 'object')) {
+      header = header || {};
+      for (const [k, v] of Object.entries(b.header)) {
+        if ((header[k] == null || header[k] === '') && v != null && v !== '') header[k] = v;
+      }
+    }
+    const doc = window.aiOcrUtils.normalizeDocument({ header, items: batches.flatMap(b => b.rows || []) });
+    return { rows: doc.items, header: doc.header, responses: batches.map(b => b.response), failures };
+  }
+  /**
+   * Tags a row with the index of its source image. In a batch of several images the model's _page picks
+   * the image; without a usable _page the row is left unplaced and its regions are dropped, since they
+   * could belong to any image of the batch.
+   */
+  function placeRow(row, batch) {
+    const { _page, ...rest } = row && typeof row === 'object' ? row : {};
+    const page = Number(_page);
+    if (batch.files.length === 1) return { ...rest, _sourceIndex: batch.start };
+    if (Number.isInteger(page) && page >= 1 && page <= batch.files.length) return { ...rest, _sourceIndex: batch.start + page - 1 };
+    const { _bbox, ...unplaced } = rest;
+    if (unplaced._fields && typeof unplaced._fields === 'object') {
+      unplaced._fields = Object.fromEntries(Object.entries(unplaced._fields).map(([k, meta]) => [k, { ...meta, bbox: null }]));
+    }
+    return unplaced;
+  }
+  /**
+   * Sends images to the selected provider and returns the extracted data.
+   * Models flagged `structuredOutput` get a JSON response schema generated from FIELD_SPEC.
+   * 429/5xx replies and network errors are retried with exponential backoff and jitter (Retry-After wins
+   * when present); each attempt is limited to `timeoutMs`. Failures are thrown as errors tagged with a
+   * `kind` (see ocrError).
+   * @param {Array<File>} files
+   * @param {AbortSignal} [signal] - Cancels the request, including any backoff wait.
+   * @returns {Promise<{ header: object|null, items: Array<object>, response: string }|null>} header and items
+   *   as the model wrote them (see aiOcrUtils.parseDocument); response is the model's reply text.
+   */
+  async function getOcrResults(files, signal) {
+    const { providerId, model } = getSelectedModel();
+    const provider = window.aiOcrProviders?.get(providerId);
+    if (!provider) throw new Error(`Unknown OCR provider "${providerId}". Ensure ocr-providers.js is loaded.`);
+    if (!window.aiOcrUtils) throw new Error('ocr-utils.js is not loaded.');
+    const options = window.aiOcrProviders.getOptions(providerId);
+    const modelInfo = window.aiOcrProviders.getModels(providerId).find(m => m.id === model) || {};
+    const apiOpts = { ...CONFIG.api, ...(window.aiOcrUtils.getConfig('api', {}) || {}) };
+    const images = await Promise.all(files.map(file => fileToImagePart(file)));
+    const locate = getReviewOption('locate') !== false;
+    const header = getReviewOption('header') !== false;
+    const pages = images.length > 1;
+    const buildRequest = (schema) => provider.buildRequest({
+      model, prompt: buildPrompt({ structured: !!schema, locate, header, pages }), schema, images, apiKey: state.apiKey, options
+    });
+    let schema = modelInfo.structuredOutput ? window.aiOcrUtils.buildResponseSchema({ locate, header, pages }) : null;
+    let request = buildRequest(schema);
+    let attempt = 0;
+    const retryAfter = async (status, retryAfterHeader, error, message) => {
+      if (attempt >= apiOpts.retries) return false;
+      const requested = parseRetryAfter(retryAfterHeader);
+      // Waits longer than retryMaxDelayMs (e.g. a daily quota) are reported instead of sat out
+      if (requested != null && requested > Number(apiOpts.retryMaxDelayMs)) {
+        throw ocrError('quota', message || `API returned ${status}`, { status, retryAfterMs: requested });
+      }
+      const wait = requested ?? backoffDelay(attempt, apiOpts);
+      attempt++;
+      console.warn(`${status ? `API returned ${status}` : `Network error (${error?.message})`}, retrying in ${(wait / 1000).toFixed(1)} s (retry ${attempt} of ${apiOpts.retries})`);
+      await delay(wait, signal);
+      return true;
+    };
+    for (;;) {
+      let resp;
       try {
-        const resp = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-        if (resp.status === 503) {
-          attempts--;
-          if (attempts > 0) {
-            console.warn(`API returned 503, retrying... (${attempts} attempts left)`);
-            await delay(CONFIG.api.retryDelayMs);
-            continue;
-          }
-          throw new Error('The model is overloaded. Please try again later.');
-        }
-        if (!resp.ok) throw new Error(`API request failed with status ${resp.status}`);
-        const data = await resp.json();
-        const parts = data?.candidates?.[0]?.content?.parts || [];
-        const text = parts.map(p => p.text || '').join('\n').trim();
-        return safeJsonExtract(text);
+        resp = await sendWithTimeout(provider, request, options, signal, Number(apiOpts.timeoutMs));
       } catch (e) {
-        // Surface once and break
+        if (e?.kind === 'network' && await retryAfter(null, null, e)) continue;
         throw e;
       }
+      if (resp.ok) return readOcrResponse(provider, resp.text);
+      const message = readErrorMessage(resp.text);
+      const kind = classifyHttpError(resp.status, message);
+      if (resp.status === 400 && schema && kind !== 'auth') {
+        // The model rejected the response schema; fall back to the prompt-only request
+        console.warn('Model rejected the response schema, retrying with prompt-only output.');
+        schema = null;
+        request = buildRequest(null);
+        continue;
+      }
+      if (RETRYABLE_STATUS.includes(resp.status) && await retryAfter(resp.status, resp.headers?.get?.('Retry-After'), null, message)) continue;
+      throw ocrError(kind, message || `API request failed with status ${resp.status}`, { status: resp.status });
     }
-    return null;
   }
-  async function fileToInlineDataPart(file) {
+  // Turns a 2xx body into raw rows; safety blocks and unreadable output become tagged errors
+  function readOcrResponse(provider, bodyText) {
+    let data;
+    try {
+      data = JSON.parse(bodyText);
+    } catch (_) {
+      throw ocrError('parse', 'The OCR service replied with something other than JSON.');
+    }
+    const blockReason = typeof provider.getBlockReason === 'function' ? provider.getBlockReason(data) : null;
+    if (blockReason) throw ocrError('safety', `The model declined to process the page (${blockReason}).`, { reason: blockReason });
+    const text = provider.parseResponse(data);
+    if (text && window.aiOcrUtils.parseLooseJson(text) == null) {
+      console.warn('Unparseable model output:', text);
+      throw ocrError('parse', 'The model reply could not be read as JSON.');
+    }
+    return { ...window.aiOcrUtils.parseDocument(text), response: text };
+  }
+  async function fileToImagePart(file) {
     const dataUrl = await readFileAsDataURL(file);
     const base64 = String(dataUrl).split(',')[1];
-    return { inline_data: { mime_type: file.type, data: base64 } };
+    return { mimeType: file.type, data: base64 };
+  }
+  // ==========================================================================================
+  // SECTION: Provider & Model Selection
+  // ==========================================================================================
+  function getSelectedModel() {
+    const value = dom.modelSelect?.value || CONFIG.api.defaultModel;
+    return window.aiOcrProviders ? window.aiOcrProviders.parseModelValue(value) : { providerId: 'gemini', model: value };
+  }
+  function getSelectedProvider() {
+    return window.aiOcrProviders?.get(getSelectedModel().providerId) || null;
+  }
+  /**
+   * Fills the model dropdown with one <optgroup> per enabled provider.
+   * Leaves the select untouched if the registry is unavailable.
+   */
+  function renderModelOptions() {
+    const select = document.getElementById(CSS_IDS.modelSelect);
+    const registry = window.aiOcrProviders;
+    if (!select || !registry) return;
+    const current = select.value;
+    select.innerHTML = '';
+    for (const provider of registry.list()) {
+      const group = document.createElement('optgroup');
+      group.label = provider.label;
+      for (const m of registry.getModels(provider.id)) {
+        const opt = document.createElement('option');
+        opt.value = registry.toModelValue(provider.id, m.id);
+        opt.textContent = m.label || m.id;
+        if (m.default) opt.selected = true;
+        group.appendChild(opt);
+      }
+      if (group.children.length) select.appendChild(group);
+    }
+    if (current && Array.from(select.options).some(o => o.value === current)) select.value = current;
+  }
+  function delay(ms, signal) {
+    return new Promise((res, rej) => {
+      if (signal?.aborted) { rej(ocrError('cancelled', 'OCR was cancelled.')); return; }
+      const onAbort = () => { clearTimeout(timer); rej(ocrError('cancelled', 'OCR was cancelled.')); };
+      const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); res(); }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  // ==========================================================================================
+  // SECTION: Request Errors & Retry
+  // ==========================================================================================
+  const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+  /**
+   * Creates an Error tagged with a `kind` that describeOcrError can explain to the user:
+   * auth | quota | safety | parse | timeout | network | server | request | cancelled
+   */
+  function ocrError(kind, message, details = {}) {
+    const err = new Error(message);
+    err.name = 'OcrError';
+    err.kind = kind;
+    return Object.assign(err, details);
+  }
+  function classifyHttpError(status, message) {
+    // Gemini reports a bad key as 400 INVALID_ARGUMENT, so the message is checked too
+    if (status === 401 || status === 403 || /api[ _-]?key/i.test(message)) return 'auth';
+    if (status === 429 || /quota|rate.?limit|resource.?exhausted/i.test(message)) return 'quota';
+    if (status >= 500) return 'server';
+    return 'request';
+  }
+  function readErrorMessage(bodyText) {
+    try {
+      const json = JSON.parse(bodyText);
+      return String(json?.error?.message || json?.message || json?.error || '');
+    } catch (_) {
+      return String(bodyText || '').slice(0, 300);
+    }
+  }
+  // Retry-After is either delay-seconds or an HTTP date; null when absent/unreadable
+  function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const at = Date.parse(value);
+    return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+  }
+  // "45 s", "12 min", "24 h"
+  function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 120) return `${seconds} s`;
+    if (seconds < 7200) return `${Math.ceil(seconds / 60)} min`;
+    return `${Math.round(seconds / 3600)} h`;
+  }
+  // Exponential backoff with "equal jitter": half of each step is fixed, half random
+  function backoffDelay(attempt, opts) {
+    const step = Math.min(Number(opts.retryMaxDelayMs), Number(opts.retryBaseDelayMs) * 2 ** attempt);
+    return step / 2 + Math.random() * (step / 2);
+  }
+  /**
+   * Performs one request, aborting it when `signal` fires or after `timeoutMs`.
+   * The body is read inside the timeout so a stalled stream cannot hang the run.
+   * @returns {Promise<{ ok: boolean, status: number, headers: Headers, text: string }>}
+   */
+  async function sendWithTimeout(provider, request, options, signal, timeoutMs) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) controller.abort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = timeoutMs > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+    const req = { ...request, init: { ...request.init, signal: controller.signal } };
+    try {
+      const resp = typeof provider.send === 'function' ? await provider.send(req, options) : await fetch(req.url, req.init);
+      const text = await resp.text();
+      return { ok: resp.ok, status: resp.status, headers: resp.headers, text };
+    } catch (e) {
+      if (signal?.aborted) throw ocrError('cancelled', 'OCR was cancelled.');
+      if (timedOut) throw ocrError('timeout', `No response within ${timeoutMs / 1000} s.`);
+      throw ocrError('network', String(e?.message || e), { cause: e });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+  // User-facing explanation for an error from getOcrResults/extractInBatches
+  function describeOcrError(err) {
+    const label = getSelectedProvider()?.label || 'The OCR service';
+    const detail = err?.message ? ` (${err.message})` : '';
+    switch (err?.kind) {
+      case 'auth': return `${label} rejected the credentials${detail}. Check the API key; you will be asked for it again on the next submit.`;
+      case 'quota': return err.retryAfterMs
+        ? `${label} rate limit or quota was exceeded${detail}. Try again in ${formatWait(err.retryAfterMs)}.`
+        : `${label} rate limit or quota was exceeded${detail}. Wait a minute and try again, or lower the batching concurrency.`;
+      case 'safety': return `${err.message} Try a clearer scan or a different model.`;
+      case 'parse': return `${err.message} Try again or choose a different model.`;
+      case 'timeout': return `${label} did not respond in time${detail}. Try again, or send fewer pages per request.`;
+      case 'network': return `Could not reach ${label}${detail}. Check your connection and try again.`;
+      case 'server': return `${label} is unavailable${detail}. Please try again later.`;
+      case 'request': return `${label} refused the request${detail}.`;
+      default: return `OCR failed: ${err?.message || err}`;
+    }
   }
-  function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
   // ==========================================================================================
   // SECTION: Style & UI Injection (markup largely unchanged)
   // ==========================================================================================
@@ -475,6 +1249,7 @@ function initAiOcr() {
     const styles = `
       .ai-ocr-modal { position: fixed; z-index: 1; left: 0; top: 0; width: 100%; height: 100%; overflow: auto; background-color: rgba(0,0,0,0.4); }
       .ai-ocr-modal-content { background-color: #fefefe; margin: 15% auto; padding: 20px; border: 1px solid #888; width: 80%; max-width: 600px; border-radius: 10px; }
+      .ai-ocr-modal-content.ai-ocr-reviewing { width: 95vw; max-width: 95vw; margin: 2% auto; box-sizing: border-box; }
       .ai-ocr-close-button { color: #aaa; float: right; font-size: 28px; font-weight: bold; }
       .ai-ocr-close-button:hover, .ai-ocr-close-button:focus { color: black; text-decoration: none; cursor: pointer; }
 
@@ -485,9 +1260,14 @@ function initAiOcr() {
       #ai-ocr-preview-container { margin-top: 20px; display: flex; flex-wrap: wrap; gap: 10px; }
       .ai-ocr-preview-image { width: 100px; height: 100px; object-fit: cover; cursor: pointer; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,.15); transition: transform .2s; }
       .ai-ocr-preview-image:hover { transform: scale(1.05); }
+      .ai-ocr-preview-item { display: flex; flex-direction: column; align-items: center; gap: 4px; width: 100px; }
+      .ai-ocr-preview-caption { font-size: 11px; color: #444; max-width: 100px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; cursor: pointer; }
+      .ai-ocr-preview-item.ai-ocr-excluded .ai-ocr-preview-image { opacity: .35; filter: grayscale(1); }
 
       #ai-ocr-image-preview-lightbox { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(0, 0, 0, 0.8); display: flex; justify-content: center; align-items: center; z-index: 1001; cursor: pointer; }
-      #ai-ocr-image-preview-lightbox img { max-width: 90vw; max-height: 90vh; object-fit: contain; }
+      #ai-ocr-image-preview-lightbox img { display: block; max-width: 90vw; max-height: 90vh; object-fit: contain; }
+      #ai-ocr-image-preview-lightbox .ai-ocr-lightbox-frame { position: relative; line-height: 0; }
+      #ai-ocr-image-preview-lightbox .ai-ocr-lightbox-highlight { position: absolute; border: 3px solid #ff9800; background: rgba(255,152,0,.18); box-shadow: 0 0 0 9999px rgba(0,0,0,.35); box-sizing: border-box; pointer-events: none; }
       #ai-ocr-image-preview-lightbox .ai-ocr-close-lightbox { position: absolute; top: 20px; right: 35px; color: #fff; font-size: 40px; font-weight: bold; cursor: pointer; }
 
       .ai-ocr-controls { margin-top: 20px; padding-top: 15px; border-top: 1px solid #eee; }
@@ -495,12 +1275,24 @@ function initAiOcr() {
       .ai-ocr-controls select { width: 100%; padding: 8px; margin-bottom: 10px; border-radius: 4px; border: 1px solid #ccc; }
       .ai-ocr-disclaimer { font-size: 0.8em; color: #666; text-align: center; margin-top: 10px; }
 
+      .ai-ocr-import-report h3 { margin: 0 0 8px; }
+      .ai-ocr-import-counts { margin: 0 0 12px; padding-left: 18px; }
+      .ai-ocr-import-issues { width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 12px; }
+      .ai-ocr-import-issues th, .ai-ocr-import-issues td { border-bottom: 1px solid #eee; padding: 4px 6px; text-align: left; }
+      .ai-ocr-import-report .ai-ocr-status-rejected, .ai-ocr-import-report .ai-ocr-status-missing, .ai-ocr-import-report .ai-ocr-status-error { color: #b00020; }
+      .ai-ocr-import-report .ai-ocr-status-recalculated, .ai-ocr-import-report .ai-ocr-status-readonly, .ai-ocr-import-report .ai-ocr-status-unmapped { color: #8a6d00; }
+      .ai-ocr-import-footer { display: flex; justify-content: flex-end; gap: 8px; }
+
       /* Enhanced overlay */
       #ai-ocr-loading-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.45); backdrop-filter: blur(3px); display: flex; justify-content: center; align-items: center; z-index: 1000; padding: 16px; box-sizing: border-box; }
       .ai-ocr-loading-card { width: min(92vw, 360px); background: rgba(28,28,30,0.92); color: #fff; border-radius: 12px; padding: 20px 18px; box-shadow: 0 10px 30px rgba(0,0,0,.35), inset 0 1px 0 rgba(255,255,255,.06); display: flex; flex-direction: column; align-items: center; gap: 12px; }
       .ai-ocr-spinner { width: 36px; height: 36px; border: 3px solid rgba(255,255,255,.25); border-top-color: #fff; border-radius: 50%; animation: ai-ocr-spin 0.9s linear infinite; }
       .ai-ocr-progress-label { font-size: 14px; font-weight: 500; letter-spacing: .2px; text-align: center; text-shadow: 0 1px 2px rgba(0,0,0,.35); }
       .ai-ocr-progress-bar { width: 100%; height: 8px; background: rgba(255,255,255,.15); border-radius: 999px; overflow: hidden; box-shadow: inset 0 1px 2px rgba(0,0,0,.5); }
+      .ai-ocr-loading-actions { display: flex; gap: 8px; }
+      .ai-ocr-cancel-btn { margin-top: 4px; padding: 6px 16px; border-radius: 6px; border: 1px solid rgba(255,255,255,.35); background: transparent; color: #fff; cursor: pointer; }
+      .ai-ocr-cancel-btn:hover:not(:disabled) { background: rgba(255,255,255,.12); }
+      .ai-ocr-cancel-btn:disabled { opacity: .5; cursor: default; }
       .ai-ocr-progress-fill { height: 100%; width: 0%; background: linear-gradient(90deg, #4ea1ff, #22d3ee); box-shadow: 0 0 12px rgba(78,161,255,.55); transition: width .25s ease; }
 
       @keyframes ai-ocr-typing { 0%, 100% { transform: scale(1); opacity: 1; } 50% { transform: scale(0.5); opacity: 0.5; } }
@@ -521,31 +1313,41 @@ function initAiOcr() {
       modal.innerHTML = `
         <div class="ai-ocr-modal-content">
           <span class="ai-ocr-close-button">&times;</span>
-          <h2>Upload Images for OCR</h2>
-          <div id="${CSS_IDS.dropZone}">
-            <p><strong>Images only (JPG/PNG)</strong> — Drag & drop here or click to select files.<br>
-              <span class="ai-ocr-note">Need CSV? Use "Or import CSV" below.</span>
-            </p>
-            <input type="file" id="${CSS_IDS.fileInput}" multiple accept="image/jpeg, image/png">
-          </div>
-          <div id="${CSS_IDS.previewContainer}"></div>
-          <div class="ai-ocr-controls">
-            <label for="${CSS_IDS.modelSelect}">Select AI Model:</label>
-            <select id="${CSS_IDS.modelSelect}">
-              <option value="gemini-2.5-flash-lite" selected>Gemini 2.5 Flash Lite (Fastest)</option>
-              <option value="gemini-2.5-flash">Gemini 2.5 Flash (Fast)</option>
-              <option value="gemma-3-27b-it">Gemma 3 27B (Quality)</option>
-              <option value="gemma-3-12b-it">Gemma 3 12B (Balanced)</option>
-            </select>
-            <p class="ai-ocr-disclaimer">Disclaimer: AI may make mistakes. Please verify the extracted data.</p>
+          <div id="${CSS_IDS.review}" style="display:none"></div>
+          <div id="${CSS_IDS.uploadView}">
+            <h2>Upload Images or PDFs for OCR</h2>
+            <div id="${CSS_IDS.dropZone}">
+              <p><strong>Images (JPG/PNG) or PDF</strong> — Drag & drop here or click to select files.<br>
+                <span class="ai-ocr-note">Need CSV? Use "Or import CSV" below.</span>
+              </p>
+              <input type="file" id="${CSS_IDS.fileInput}" multiple accept="image/jpeg, image/png, application/pdf">
+            </div>
+            <div id="${CSS_IDS.previewContainer}"></div>
+            <div class="ai-ocr-controls">
+              <label for="${CSS_IDS.modelSelect}">Select AI Model:</label>
+              <select id="${CSS_IDS.modelSelect}"></select>
+              <p class="ai-ocr-disclaimer">Disclaimer: AI may make mistakes. Please verify the extracted data.</p>
+            </div>
+            <div class="ai-ocr-controls">
+              <label for="${CSS_IDS.csvFileInput}">Or import CSV or Excel:</label>
+              <input type="file" id="${CSS_IDS.csvFileInput}" accept=".csv,text/csv,.xlsx,.xlsm,.xls,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel">
+              <div id="${CSS_IDS.csvSheetContainer}"></div>
+              <div id="${CSS_IDS.csvMapContainer}"></div>
+              <button id="${CSS_IDS.csvApplyBtn}" disabled>Review Rows from CSV</button>
+            </div>
+            <button id="${CSS_IDS.submit}">Submit for OCR</button>
+            <button id="${CSS_IDS.undo}" type="button" disabled>Undo last import</button>
+            <div class="ai-ocr-controls" id="${CSS_IDS.exportLast}">
+              <label>Export last run:</label>
+              <button type="button" data-source="last" data-format="csv" disabled>CSV</button>
+              <button type="button" data-source="last" data-format="json" disabled>JSON</button>
+              <button type="button" data-source="last" data-format="xlsx" disabled>XLSX</button>
+              <label>Export form rows:</label>
+              <button type="button" data-source="form" data-format="csv">CSV</button>
+              <button type="button" data-source="form" data-format="json">JSON</button>
+              <button type="button" data-source="form" data-format="xlsx">XLSX</button>
+            </div>
           </div>
-          <div class="ai-ocr-controls">
-            <label for="${CSS_IDS.csvFileInput}">Or import CSV:</label>
-            <input type="file" id="${CSS_IDS.csvFileInput}" accept=".csv,text/csv">
-            <div id="${CSS_IDS.csvMapContainer}"></div>
-            <button id="${CSS_IDS.csvApplyBtn}" disabled>Add Rows from CSV</button>
-          </div>
-          <button id="${CSS_IDS.submit}">Submit for OCR</button>
         </div>
       `;
       body.appendChild(modal);
@@ -561,6 +1363,10 @@ function initAiOcr() {
           <div class="ai-ocr-progress-bar">
             <div class="ai-ocr-progress-fill" id="${CSS_IDS.progressFill}" style="width:0%"></div>
           </div>
+          <div class="ai-ocr-loading-actions">
+            <button type="button" id="${CSS_IDS.pause}" class="ai-ocr-cancel-btn" style="display:none">Pause</button>
+            <button type="button" id="${CSS_IDS.cancel}" class="ai-ocr-cancel-btn" style="display:none">Cancel</button>
+          </div>
         </div>
       `;
       body.appendChild(overlay);
@@ -571,7 +1377,10 @@ function initAiOcr() {
       lightbox.style.display = 'none';
       lightbox.innerHTML = `
         <span class="ai-ocr-close-lightbox">&times;</span>
-        <img src="" alt="Image Preview">
+        <div class="ai-ocr-lightbox-frame">
+          <img src="" alt="Image Preview">
+          <div class="ai-ocr-lightbox-highlight" style="display:none"></div>
+        </div>
       `;
       body.appendChild(lightbox);
     }
@@ -0,0 +1,455 @@
+/**
+ * @file review-grid.js
+ * @description Editable review grid shown between extraction (OCR or CSV) and $addRows.
+ *              Rows can be edited cell by cell, duplicated, deleted or added manually; the source image of the
+ *              focused row is shown beside the table. Nothing touches the host form until the user confirms.
+ *
+ * Exposes window.aiOcrReview with:
+ *  - renderReviewGrid(containerEl, rows, options): { getRows(), setRows(rows), getHeader(), getValidation() }
+ *      options:
+ *        fields?: string[]                         // column order; defaults to aiOcrUtils.listFields()
+ *        sources?: string[]                        // image URLs indexed by row._sourceIndex
+ *        header?: object|null                      // document header (HEADER_SPEC); editable above the table
+ *        confirmLabel?: string
+ *        onConfirm?: (rows, header) => void
+ *        onCancel?: () => void
+ *        lowConfidence?: number                    // mark fields/rows below this confidence (default 0.6)
+ *        onSourceClick?: (src, row, bbox) => void  // e.g. open the lightbox with the region highlighted; called
+ *                                                  // for the row number, a cell's ⌖ marker or a double-clicked cell
+ *        onExport?: (format, rows, header) => void // adds CSV / JSON / XLSX export buttons to the toolbar
+ *
+ * Rows keep any metadata keys (_sourceIndex, _bbox, _confidence, _fields) untouched; only field values are
+ * edited. Regions are [ymin, xmin, ymax, xmax] scaled 0-1000 and are outlined on the source image.
+ * Rows are re-checked with aiOcrUtils.validateRows after every edit; cells involved in an error are
+ * outlined red, warnings orange, and the messages are shown as tooltips on the cells and the row number.
+ */
+(function () {
+  const global = (typeof window !== 'undefined') ? window : globalThis;
+  if (global.aiOcrReview) return; // avoid re-definition
+
+  function injectStyles() {
+    const id = 'ai-ocr-review-styles';
+    if (document.getElementById(id)) return;
+    const style = document.createElement('style');
+    style.id = id;
+    style.textContent = `
+      .ai-ocr-review-toolbar { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin: 8px 0; }
+      .ai-ocr-review-toolbar button, .ai-ocr-review-footer button { padding: 6px 10px; }
+      .ai-ocr-review-count { font-size: 12px; color: #333; }
+      .ai-ocr-review-export { font-size: 12px; color: #555; margin-left: auto; }
+      .ai-ocr-review-body { display: flex; gap: 12px; align-items: flex-start; }
+      .ai-ocr-review-table-wrap { flex: 1 1 auto; min-width: 0; max-height: 60vh; overflow: auto; border: 1px solid #eee; }
+      .ai-ocr-review-table-wrap table { border-collapse: collapse; font-size: 12px; }
+      .ai-ocr-review-table-wrap th, .ai-ocr-review-table-wrap td { border: 1px solid #ddd; padding: 2px; white-space: nowrap; }
+      .ai-ocr-review-table-wrap th { background: #f7f7f7; position: sticky; top: 0; z-index: 1; padding: 4px 6px; text-align: left; }
+      .ai-ocr-review-table-wrap input[type="text"] { width: 110px; box-sizing: border-box; border: 1px solid transparent; padding: 3px 4px; font: inherit; }
+      .ai-ocr-review-table-wrap input[type="text"].ai-ocr-num { width: 80px; text-align: right; }
+      .ai-ocr-review-table-wrap input[type="text"]:focus { border-color: #4ea1ff; outline: none; }
+      .ai-ocr-review-table-wrap tr.ai-ocr-active td { background: #f2f8ff; }
+      .ai-ocr-review-actions button { padding: 2px 6px; font-size: 11px; }
+      .ai-ocr-review-source { flex: 0 0 240px; position: sticky; top: 0; }
+      .ai-ocr-review-source-frame { position: relative; line-height: 0; }
+      .ai-ocr-review-source img { width: 100%; border: 1px solid #ddd; border-radius: 4px; cursor: zoom-in; box-sizing: border-box; }
+      .ai-ocr-review-highlight { position: absolute; border: 2px solid #ff9800; background: rgba(255,152,0,.18); box-sizing: border-box; pointer-events: none; }
+      .ai-ocr-review-table-wrap input.ai-ocr-low-conf, .ai-ocr-review-table-wrap td.ai-ocr-low-conf { background: #fff3cd; }
+      .ai-ocr-review-table-wrap input.ai-ocr-low-conf { border-color: #f0ad4e; }
+      .ai-ocr-review-table-wrap input.ai-ocr-invalid { border-color: #d32f2f; background: #fdecea; }
+      .ai-ocr-review-table-wrap input.ai-ocr-warning { border-color: #f57c00; }
+      .ai-ocr-review-table-wrap td.ai-ocr-invalid { color: #d32f2f; font-weight: 600; }
+      .ai-ocr-review-table-wrap td.ai-ocr-warning { color: #f57c00; font-weight: 600; }
+      .ai-ocr-review-locate { border: none; background: none; padding: 0 2px; cursor: pointer; color: #888; font-size: 12px; }
+      .ai-ocr-review-locate:hover { color: #ff9800; }
+      .ai-ocr-review-source-label { font-size: 11px; color: #666; margin-bottom: 4px; }
+      .ai-ocr-review-header { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 6px 12px; margin: 6px 0 10px; font-size: 12px; }
+      .ai-ocr-review-header label { display: flex; flex-direction: column; gap: 2px; color: #555; }
+      .ai-ocr-review-header input { padding: 4px; font: inherit; }
+      .ai-ocr-review-totals { font-size: 12px; margin: 4px 0; }
+      .ai-ocr-review-totals.ok { color: #2E7D32; }
+      .ai-ocr-review-totals.warn { color: #B00020; font-weight: 600; }
+      .ai-ocr-review-footer { display: flex; justify-content: flex-end; gap: 8px; margin-top: 10px; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function getUtils() {
+    return global.aiOcrUtils || null;
+  }
+
+  function fieldType(field) {
+    const spec = getUtils()?.FIELD_SPEC;
+    if (spec?.number.includes(field)) return 'number';
+    if (spec?.boolean.includes(field)) return 'boolean';
+    return 'string';
+  }
+
+  function blankRow(fields) {
+    const row = {};
+    for (const f of fields) {
+      const type = fieldType(f);
+      row[f] = type === 'number' ? null : type === 'boolean' ? false : '';
+    }
+    return row;
+  }
+
+  function parseCell(field, raw) {
+    const type = fieldType(field);
+    if (type === 'number') {
+      const utils = getUtils();
+      return utils ? utils.normalizeNumber(raw) : (raw === '' ? null : Number(raw));
+    }
+    return String(raw ?? '').trim();
+  }
+
+  // Field-level region when the model returned one, otherwise the whole row
+  function regionFor(row, field) {
+    return (field && row?._fields?.[field]?.bbox) || row?._bbox || null;
+  }
+
+  function confidenceFor(row, field) {
+    const c = field ? row?._fields?.[field]?.confidence : row?._confidence;
+    return typeof c === 'number' ? c : null;
+  }
+
+  function formatConfidence(c) {
+    return `${Math.round(c * 100)}%`;
+  }
+
+  function renderReviewGrid(containerEl, rows, options = {}) {
+    injectStyles();
+    if (!containerEl) return null;
+    const fields = options.fields || getUtils()?.listFields() || Object.keys(rows?.[0] || {});
+    const sources = options.sources || [];
+    const lowConfidence = Number.isFinite(options.lowConfidence) ? options.lowConfidence : 0.6;
+    const header = options.header ? { ...options.header } : null;
+    let model = (rows || []).map(r => ({ ...r }));
+    let activeIndex = -1;
+    let validation = [];
+
+    containerEl.innerHTML = '';
+    containerEl.classList.add('ai-ocr-review');
+    const root = document.createElement('div');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'ai-ocr-review-toolbar';
+    const btnAdd = document.createElement('button');
+    btnAdd.type = 'button';
+    btnAdd.textContent = 'Add row';
+    const count = document.createElement('span');
+    count.className = 'ai-ocr-review-count';
+    toolbar.appendChild(btnAdd);
+    toolbar.appendChild(count);
+    if (typeof options.onExport === 'function') {
+      const exportLabel = document.createElement('span');
+      exportLabel.className = 'ai-ocr-review-export';
+      exportLabel.textContent = 'Export:';
+      toolbar.appendChild(exportLabel);
+      for (const format of ['csv', 'json', 'xlsx']) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = format.toUpperCase();
+        btn.addEventListener('click', () => options.onExport(format, model.map(r => ({ ...r })), header ? { ...header } : null));
+        toolbar.appendChild(btn);
+      }
+    }
+
+    const body = document.createElement('div');
+    body.className = 'ai-ocr-review-body';
+    const tableWrap = document.createElement('div');
+    tableWrap.className = 'ai-ocr-review-table-wrap';
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    thead.innerHTML = '<tr><th>#</th><th></th>' + fields.map(f => `<th>${escapeHtml(f)}</th>`).join('') + '</tr>';
+    const tbody = document.createElement('tbody');
+    table.appendChild(thead);
+    table.appendChild(tbody);
+    tableWrap.appendChild(table);
+    body.appendChild(tableWrap);
+
+    const sourcePanel = document.createElement('div');
+    sourcePanel.className = 'ai-ocr-review-source';
+    const sourceLabel = document.createElement('div');
+    sourceLabel.className = 'ai-ocr-review-source-label';
+    const sourceFrame = document.createElement('div');
+    sourceFrame.className = 'ai-ocr-review-source-frame';
+    const sourceImg = document.createElement('img');
+    sourceImg.alt = 'Source image';
+    const sourceMark = document.createElement('div');
+    sourceMark.className = 'ai-ocr-review-highlight';
+    sourceMark.style.display = 'none';
+    let activeRegion = null;
+    sourceImg.addEventListener('click', () => {
+      if (sourceImg.src) openSource(model[activeIndex], activeRegion);
+    });
+    sourceFrame.appendChild(sourceImg);
+    sourceFrame.appendChild(sourceMark);
+    sourcePanel.appendChild(sourceLabel);
+    sourcePanel.appendChild(sourceFrame);
+    if (sources.length) body.appendChild(sourcePanel);
+
+    const footer = document.createElement('div');
+    footer.className = 'ai-ocr-review-footer';
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.textContent = 'Back';
+    const btnConfirm = document.createElement('button');
+    btnConfirm.type = 'button';
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnConfirm);
+
+    const totals = document.createElement('div');
+    totals.className = 'ai-ocr-review-totals';
+    if (header) root.appendChild(buildHeaderForm());
+    root.appendChild(totals);
+    root.appendChild(toolbar);
+    root.appendChild(body);
+    root.appendChild(footer);
+    containerEl.appendChild(root);
+
+    function sourceFor(row) {
+      return row && row._sourceIndex != null ? sources[row._sourceIndex] || null : null;
+    }
+
+    function openSource(row, bbox) {
+      const src = sourceFor(row);
+      if (src && typeof options.onSourceClick === 'function') options.onSourceClick(src, row, bbox || null);
+    }
+
+    function showSource(index, field) {
+      activeIndex = index;
+      Array.from(tbody.rows).forEach((tr, i) => tr.classList.toggle('ai-ocr-active', i === index));
+      if (!sources.length) return;
+      const row = model[index];
+      const src = sourceFor(row);
+      activeRegion = regionFor(row, field);
+      if (src) {
+        sourceImg.src = src;
+        sourceFrame.style.display = '';
+        sourceLabel.textContent = `Source image ${row._sourceIndex + 1} of ${sources.length}`;
+      } else {
+        sourceImg.removeAttribute('src');
+        sourceFrame.style.display = 'none';
+        sourceLabel.textContent = 'No source image for this row';
+      }
+      if (src && activeRegion) {
+        const [ymin, xmin, ymax, xmax] = activeRegion;
+        Object.assign(sourceMark.style, {
+          display: 'block',
+          top: `${ymin / 10}%`,
+          left: `${xmin / 10}%`,
+          height: `${(ymax - ymin) / 10}%`,
+          width: `${(xmax - xmin) / 10}%`
+        });
+      } else {
+        sourceMark.style.display = 'none';
+      }
+    }
+
+    function markConfidence(el, confidence, label) {
+      if (confidence == null || confidence >= lowConfidence) return;
+      el.classList.add('ai-ocr-low-conf');
+      el.title = `${label}: low confidence (${formatConfidence(confidence)})`;
+      el.dataset.note = el.title;
+    }
+
+    function buildCell(row, field, index) {
+      const td = document.createElement('td');
+      const input = document.createElement('input');
+      if (fieldType(field) === 'boolean') {
+        input.type = 'checkbox';
+        input.checked = !!row[field];
+        input.addEventListener('change', () => { row[field] = input.checked; });
+      } else {
+        input.type = 'text';
+        if (fieldType(field) === 'number') {
+          input.className = 'ai-ocr-num';
+          input.inputMode = 'decimal';
+        }
+        input.value = row[field] == null ? '' : String(row[field]);
+        input.addEventListener('change', () => {
+          row[field] = parseCell(field, input.value);
+          input.value = row[field] == null ? '' : String(row[field]);
+          // An edited value has been checked by a person
+          input.classList.remove('ai-ocr-low-conf');
+          delete input.dataset.note;
+        });
+      }
+      input.title = field;
+      input.dataset.field = field;
+      markConfidence(input, confidenceFor(row, field), field);
+      input.addEventListener('focus', () => showSource(index, field));
+      // Focus only outlines the region beside the table; a double click opens it in the lightbox
+      input.addEventListener('dblclick', () => {
+        const region = regionFor(row, field);
+        if (region) openSource(row, region);
+      });
+      td.appendChild(input);
+      const fieldBox = row._fields?.[field]?.bbox;
+      if (fieldBox && sourceFor(row)) {
+        const locate = document.createElement('button');
+        locate.type = 'button';
+        locate.className = 'ai-ocr-review-locate';
+        locate.textContent = '⌖';
+        locate.title = `Show ${field} on the source image`;
+        locate.tabIndex = -1;
+        locate.addEventListener('click', () => openSource(row, fieldBox));
+        td.appendChild(locate);
+      }
+      return td;
+    }
+
+    function buildHeaderForm() {
+      const utils = getUtils();
+      const wrap = document.createElement('div');
+      wrap.className = 'ai-ocr-review-header';
+      const numeric = utils?.HEADER_SPEC?.number || [];
+      for (const f of (utils?.listHeaderFields() || Object.keys(header))) {
+        const label = document.createElement('label');
+        label.textContent = f;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = header[f] == null ? '' : String(header[f]);
+        input.addEventListener('change', () => {
+          header[f] = numeric.includes(f) ? (utils ? utils.normalizeNumber(input.value) : Number(input.value)) : input.value.trim();
+          input.value = header[f] == null ? '' : String(header[f]);
+        });
+        label.appendChild(input);
+        wrap.appendChild(label);
+      }
+      return wrap;
+    }
+
+    // Header totals vs. line amounts; refreshed on every edit
+    function refreshTotals() {
+      const utils = getUtils();
+      if (!header || !utils?.checkTotals) {
+        totals.style.display = 'none';
+        return;
+      }
+      const { linesTotal, issues } = utils.checkTotals(header, model);
+      totals.className = `ai-ocr-review-totals ${issues.length ? 'warn' : 'ok'}`;
+      totals.textContent = issues.length ? issues.join(' ') : `Line amounts (${linesTotal.toFixed(2)}) match the document totals.`;
+    }
+
+    // Re-runs the row checks and repaints error/warning markers without rebuilding the table
+    function refreshValidation() {
+      const utils = getUtils();
+      validation = utils?.validateRows ? utils.validateRows(model) : [];
+      let errorCount = 0;
+      let warningCount = 0;
+      Array.from(tbody.rows).forEach((tr, i) => {
+        const { errors = [], warnings = [] } = validation[i] || {};
+        errorCount += errors.length;
+        warningCount += warnings.length;
+        const tdNum = tr.cells[0];
+        tdNum.classList.toggle('ai-ocr-invalid', errors.length > 0);
+        tdNum.classList.toggle('ai-ocr-warning', !errors.length && warnings.length > 0);
+        tdNum.textContent = `${i + 1}${errors.length || warnings.length ? ' ⚠' : ''}`;
+        const rowMessages = [...errors, ...warnings].map(issue => issue.message);
+        tdNum.title = [tdNum.dataset.note, ...rowMessages].filter(Boolean).join('\n');
+        tr.querySelectorAll('input[data-field]').forEach((input) => {
+          const field = input.dataset.field;
+          const fieldErrors = errors.filter(issue => issue.fields.includes(field));
+          const fieldWarnings = warnings.filter(issue => issue.fields.includes(field));
+          input.classList.toggle('ai-ocr-invalid', fieldErrors.length > 0);
+          input.classList.toggle('ai-ocr-warning', !fieldErrors.length && fieldWarnings.length > 0);
+          const messages = [...fieldErrors, ...fieldWarnings].map(issue => issue.message);
+          input.title = [input.dataset.note || field, ...messages].join('\n');
+        });
+      });
+      const issues = [];
+      if (errorCount) issues.push(`${errorCount} error${errorCount === 1 ? '' : 's'}`);
+      if (warningCount) issues.push(`${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+      count.textContent = `${model.length} row${model.length === 1 ? '' : 's'}${issues.length ? ` · ${issues.join(', ')}` : ''}`;
+    }
+
+    function renderRows() {
+      tbody.innerHTML = '';
+      model.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        const tdNum = document.createElement('td');
+        tdNum.textContent = String(index + 1);
+        markConfidence(tdNum, confidenceFor(row, null), `Row ${index + 1}`);
+        if (sourceFor(row)) {
+          tdNum.style.cursor = 'zoom-in';
+          tdNum.addEventListener('click', () => openSource(row, row._bbox));
+        }
+        const tdActions = document.createElement('td');
+        tdActions.className = 'ai-ocr-review-actions';
+        const btnDup = document.createElement('button');
+        btnDup.type = 'button';
+        btnDup.textContent = 'Duplicate';
+        btnDup.addEventListener('click', () => {
+          model.splice(index + 1, 0, { ...row });
+          renderRows();
+          showSource(index + 1);
+        });
+        const btnDel = document.createElement('button');
+        btnDel.type = 'button';
+        btnDel.textContent = 'Delete';
+        btnDel.addEventListener('click', () => {
+          model.splice(index, 1);
+          renderRows();
+          if (model.length) showSource(Math.min(index, model.length - 1));
+        });
+        tdActions.appendChild(btnDup);
+        tdActions.appendChild(btnDel);
+        tr.appendChild(tdNum);
+        tr.appendChild(tdActions);
+        for (const f of fields) tr.appendChild(buildCell(row, f, index));
+        tbody.appendChild(tr);
+      });
+      count.textContent = `${model.length} row${model.length === 1 ? '' : 's'}`;
+      btnConfirm.textContent = options.confirmLabel || `Add ${model.length} row${model.length === 1 ? '' : 's'} to form`;
+      btnConfirm.disabled = model.length === 0;
+      refreshTotals();
+      refreshValidation();
+    }
+
+    btnAdd.addEventListener('click', () => {
+      const row = blankRow(fields);
+      // Manually added rows inherit the source of the row they follow, so the image panel stays useful
+      if (model[activeIndex] && model[activeIndex]._sourceIndex != null) row._sourceIndex = model[activeIndex]._sourceIndex;
+      model.push(row);
+      renderRows();
+      showSource(model.length - 1);
+      tbody.rows[model.length - 1]?.querySelector('input[type="text"]')?.focus();
+    });
+    btnCancel.addEventListener('click', () => { if (typeof options.onCancel === 'function') options.onCancel(); });
+    btnConfirm.addEventListener('click', () => {
+      // Commit a cell that is still being edited
+      if (document.activeElement && root.contains(document.activeElement)) document.activeElement.blur();
+      if (typeof options.onConfirm === 'function') options.onConfirm(model.map(r => ({ ...r })), header ? { ...header } : null);
+    });
+
+    root.addEventListener('change', () => {
+      refreshTotals();
+      refreshValidation();
+    });
+    renderRows();
+    if (model.length) showSource(0);
+
+    return {
+      getRows: () => model.map(r => ({ ...r })),
+      getHeader: () => (header ? { ...header } : null),
+      getValidation: () => validation.slice(),
+      setRows: (next) => {
+        model = (next || []).map(r => ({ ...r }));
+        renderRows();
+        if (model.length) showSource(0);
+      }
+    };
+  }
+
+  function escapeHtml(v) {
+    return String(v ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  global.aiOcrReview = {
+    renderReviewGrid,
+  };
+})();
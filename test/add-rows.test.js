@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInDom } = require('./helpers/load');
+
+// Two lines on the form: line 1 (code A) was deleted by the host and is only hidden.
+const FORM = `<table><tbody id="lines">
+  <tr id="line1" style="display: none"><td><input name="code1" value="A"><input name="qty1" value="2"></td></tr>
+  <tr id="line2"><td><input name="code2" value="B"><input name="qty2" value="5"></td></tr>
+</tbody></table>`;
+
+const ADAPTER = {
+  id: 'test-lines',
+  fields: { code: 'code{n}', qty: 'qty{n}' },
+  rowIdTemplate: 'line{n}',
+  addRow: ({ adapter }) => {
+    const doc = adapter.document;
+    const n = doc.querySelectorAll('#lines tr').length + 1;
+    doc.getElementById('lines').insertAdjacentHTML('beforeend',
+      `<tr id="line${n}"><td><input name="code${n}"><input name="qty${n}"></td></tr>`);
+  },
+};
+
+const load = () => {
+  const window = loadInDom(FORM, ['ocr-utils.js', 'add_rows.js']);
+  return { window, adapter: { ...ADAPTER, document: window.document } };
+};
+
+test('merge ignores rows hidden by the host', async () => {
+  const { window, adapter } = load();
+  const result = await window.$addRows([{ code: 'A', qty: 3 }], { adapter, merge: { quantity: 'sum' } });
+
+  assert.equal(result.updated.length, 0);
+  assert.equal(result.added.length, 1);
+  assert.equal(result.added[0].rowId, 3);
+  assert.equal(window.document.getElementsByName('qty1')[0].value, '2');
+  assert.equal(window.document.getElementsByName('qty3')[0].value, '3');
+});
+
+test('merge still updates visible matching rows', async () => {
+  const { window, adapter } = load();
+  const result = await window.$addRows([{ code: 'b', qty: 1 }], { adapter, merge: { quantity: 'sum' } });
+
+  assert.equal(result.updated.length, 1);
+  assert.equal(result.updated[0].rowId, 2);
+  assert.equal(window.document.getElementsByName('qty2')[0].value, '6');
+});
+
+test('beforeAddRow is told whether the run is a dry run', async () => {
+  const { window, adapter } = load();
+  const seen = [];
+  window.AI_OCR.on('beforeAddRow', (row, index, ctx) => {
+    seen.push(ctx.dryRun);
+    return ctx.dryRun ? row : false;
+  });
+  const plan = await window.$addRows([{ code: 'C', qty: 1 }], { adapter, dryRun: true });
+  const result = await window.$addRows([{ code: 'C', qty: 1 }], { adapter });
+
+  assert.deepEqual(seen, [true, false]);
+  assert.equal(plan.rows.length, 1);
+  assert.equal(result.skipped.length, 1);
+});
+
+test('a failed row leaves null at its position and the run continues', async () => {
+  const { window, adapter } = load();
+  window.AI_OCR.on('beforeAddRow', (row) => {
+    if (row.code === 'X') throw new Error('no X');
+  });
+  const rows = [{ code: 'C', qty: 1 }, { code: 'X', qty: 1 }, { code: 'D', qty: 1 }];
+  const result = await window.$addRows(rows, { adapter });
+
+  assert.deepEqual([...result], [3, null, 4]);
+  assert.equal(result.completed, false);
+  assert.equal(result.nextIndex, 3);
+  assert.equal(result.failed.length, 1);
+  assert.equal(result.failed[0].index, 1);
+  assert.equal(result.error.message, 'no X');
+});
+
+test('stopOnError ends the run at the failed row', async () => {
+  const { window, adapter } = load();
+  window.AI_OCR.on('beforeAddRow', (row) => {
+    if (row.code === 'X') throw new Error('no X');
+  });
+  const rows = [{ code: 'C', qty: 1 }, { code: 'X', qty: 1 }, { code: 'D', qty: 1 }];
+  const result = await window.$addRows(rows, { adapter, stopOnError: true });
+
+  assert.deepEqual([...result], [3]);
+  assert.equal(result.completed, false);
+  assert.equal(result.nextIndex, 1);
+  assert.equal(result.failed, undefined);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load');
+
+const { aiOcrCsv: csv } = loadScripts(['ocr-utils.js', 'csv-import.js']);
+
+test('parseCsvText reads a comma-separated file into records', () => {
+  const { data, meta } = csv.parseCsvText('\ufeffCode,Qty\r\nA,2\r\nB,3\r\n');
+  assert.deepEqual(meta, { fields: ['Code', 'Qty'], delimiter: ',' });
+  assert.deepEqual(data, [{ Code: 'A', Qty: '2' }, { Code: 'B', Qty: '3' }]);
+});
+
+test('parseCsvText detects semicolon and tab delimiters', () => {
+  assert.equal(csv.parseCsvText('Code;Price\nA;1,50\n').meta.delimiter, ';');
+  assert.deepEqual(csv.parseCsvText('Code;Price\nA;1,50\n').data, [{ Code: 'A', Price: '1,50' }]);
+  assert.equal(csv.parseCsvText('Code\tQty\nA\t2\n').meta.delimiter, '\t');
+  assert.equal(csv.parseCsvText('Code;Qty\nA;2', { delimiter: ',' }).meta.fields.length, 1);
+});
+
+test('parseCsvText keeps delimiters, quotes and line breaks inside quoted fields', () => {
+  const { data } = csv.parseCsvText('Code,Description\nA,"Bolt, M5 ""stainless""\nsecond line"\n');
+  assert.deepEqual(data, [{ Code: 'A', Description: 'Bolt, M5 "stainless"\nsecond line' }]);
+});
+
+test('parseCsvText names blank and repeated headers and skips empty lines', () => {
+  const { data, meta } = csv.parseCsvText('Qty,,Qty\n1,x,2\n\n,,\n');
+  assert.deepEqual(meta.fields, ['Qty', 'Column 2', 'Qty_1']);
+  assert.deepEqual(data, [{ Qty: '1', 'Column 2': 'x', Qty_1: '2' }]);
+});
+
+test('parseCsvText fills short rows and handles a missing final newline', () => {
+  const { data } = csv.parseCsvText('Code,Qty,Uom\nA,2');
+  assert.deepEqual(data, [{ Code: 'A', Qty: '2', Uom: '' }]);
+  assert.deepEqual(csv.parseCsvText('').data, []);
+});
+
+test('applyTransform derives a value from one or more columns', () => {
+  const row = { Code: ' ab-1 ', Brand: 'Acme', Item: 'Widget 10mm', 'Qty UOM': '12 PCS', Ref: 'PO#4471 / rev 2' };
+  assert.equal(csv.applyTransform(row, { type: 'concat', sources: ['Brand', 'Item'] }), 'Acme Widget 10mm');
+  assert.equal(csv.applyTransform(row, { type: 'concat', sources: ['Brand', 'Missing', 'Item'], separator: ' - ' }), 'Acme - Widget 10mm');
+  assert.equal(csv.applyTransform(row, { type: 'split', part: 1 }, 'Qty UOM'), '12');
+  assert.equal(csv.applyTransform(row, { type: 'split', part: -1 }, 'Qty UOM'), 'PCS');
+  assert.equal(csv.applyTransform(row, { type: 'split', source: 'Ref', separator: '/', part: 2 }), 'rev 2');
+  assert.equal(csv.applyTransform(row, { type: 'regex', source: 'Ref', pattern: 'PO#(\\d+)' }), '4471');
+  assert.equal(csv.applyTransform(row, { type: 'regex', source: 'Ref', pattern: 'nothing' }), '');
+  assert.equal(csv.applyTransform(row, { type: 'regex', source: 'Ref', pattern: '(' }), '');
+  assert.equal(csv.applyTransform(row, { type: 'constant', value: 'EA' }), 'EA');
+  assert.equal(csv.applyTransform(row, { type: 'trim' }, 'Code'), 'ab-1');
+  assert.equal(csv.applyTransform(row, { type: 'upper' }, 'Code'), 'AB-1');
+  assert.equal(csv.applyTransform(row, null, 'Item'), 'Widget 10mm');
+});
+
+test('applyTransform multiplies into a number with the column separator', () => {
+  assert.equal(csv.applyTransform({ Price: '12.50' }, { type: 'multiply', factor: 100 }, 'Price'), 1250);
+  assert.equal(csv.applyTransform({ Price: '1,5' }, { type: 'multiply', factor: '2' }, 'Price', { Price: ',' }), 3);
+  assert.equal(csv.applyTransform({ Price: 'n/a' }, { type: 'multiply', factor: 2 }, 'Price'), '');
+  assert.equal(csv.applyTransform({ Price: '3' }, { type: 'multiply', factor: 'x' }, 'Price'), '');
+});
+
+test('applyMapping runs transforms in place of the mapped column', () => {
+  const rows = [{ Item: 'Bolt', 'Qty UOM': '12 PCS', Price: '1.234,50' }, { Item: 'Nut', 'Qty UOM': '3 BOX', Price: '0,50' }];
+  const mapping = { Item: 'desc_short', 'Qty UOM': 'qty', Price: 'unit_price' };
+  const transforms = {
+    qty: { type: 'split', part: 1 },
+    uom: { type: 'split', source: 'Qty UOM', part: 2 },
+    amount: { type: 'multiply', source: 'Price', factor: 2 },
+  };
+  const [first, second] = csv.applyMapping(rows, mapping, transforms);
+  assert.equal(first.desc_short, 'Bolt');
+  assert.equal(first.qty, '12');
+  assert.equal(first.uom, 'PCS');
+  assert.equal(first.unit_price, '1.234,50');
+  assert.equal(first.amount, 2469);
+  assert.equal(second.amount, 1);
+});
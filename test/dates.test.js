@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load');
+
+const { aiOcrUtils: utils, AI_OCR } = loadScripts(['ocr-utils.js']);
+const { parseDate } = utils;
+
+const parts = (value, options) => {
+  const p = parseDate(value, options);
+  return p && `${p.day}/${p.month}/${p.year}`;
+};
+
+test('parseDate reads ISO and compact dates', () => {
+  assert.equal(parts('2025-10-15'), '15/10/2025');
+  assert.equal(parts('2025/1/5'), '05/01/2025');
+  assert.equal(parts('20251015'), '15/10/2025');
+  assert.equal(parts('2025-10-15T08:30:00Z'), '15/10/2025');
+});
+
+test('parseDate reads numeric dates in the configured order', (t) => {
+  t.after(() => { AI_OCR.config = {}; });
+  assert.equal(parts('05/10/2025'), '05/10/2025');
+  assert.equal(parts('05/10/2025', { order: 'MDY' }), '10/05/2025');
+  assert.equal(parts('15.10.25'), '15/10/2025');
+  // A part above 12 can only be the day, whatever the order
+  assert.equal(parts('10/15/2025'), '15/10/2025');
+  AI_OCR.config = { dateOrder: 'MDY' };
+  assert.equal(parts('05/10/2025'), '10/05/2025');
+});
+
+test('parseDate reads month names', () => {
+  assert.equal(parts('15-Oct-25'), '15/10/2025');
+  assert.equal(parts('Oct 15, 2025'), '15/10/2025');
+  assert.equal(parts('15th October 2025'), '15/10/2025');
+  assert.equal(parts('2025 Oct 15'), '15/10/2025');
+});
+
+test('parseDate reads Excel serial numbers', () => {
+  assert.equal(parts(45945), '15/10/2025');
+  assert.equal(parts('45945'), '15/10/2025');
+});
+
+test('parseDate rejects text that is not a real date', () => {
+  assert.equal(parseDate('31/02/2025'), null);
+  assert.equal(parseDate('next week'), null);
+  assert.equal(parseDate(''), null);
+  assert.equal(parseDate(null), null);
+  assert.equal(parseDate(12), null);
+});
+
+test('normalizeAndValidate splits rqt_date and flags unreadable dates', () => {
+  const [ok, bad] = utils.normalizeAndValidate([
+    { code: 'A', qty: 1, rqt_date: '15/10/2025' },
+    { code: 'B', qty: 1, rqt_date: 'soon' },
+  ]);
+  assert.deepEqual([ok.rqt_day, ok.rqt_mth, ok.rqt_yr], ['15', '10', '2025']);
+  assert.ok(!utils.validateRow(ok).errors.some(e => e.code === 'unreadable_date'));
+  assert.ok(utils.validateRow(bad).errors.some(e => e.code === 'unreadable_date'));
+});
@@ -0,0 +1,42 @@
+/**
+ * @file test/helpers/load.js
+ * @description Loads the browser scripts for node:test. The modules are plain IIFEs that attach to
+ * `window` (or `globalThis`), so they are run as-is rather than required.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const readScript = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+/**
+ * Runs scripts in this process's global scope (no DOM). Each test file runs in its own process, so the
+ * modules' "already loaded" guards do not leak between files.
+ * @param {Array<string>} files - Script paths relative to the repo root, in loader order.
+ * @param {object} [config] - Initial AI_OCR.config.
+ * @returns {typeof globalThis}
+ */
+function loadScripts(files, config = {}) {
+  globalThis.AI_OCR = { config };
+  for (const file of files) vm.runInThisContext(readScript(file), { filename: file });
+  return globalThis;
+}
+
+/**
+ * Runs scripts inside a jsdom window built from `html`.
+ * @param {string} html - Page markup.
+ * @param {Array<string>} files - Script paths relative to the repo root, in loader order.
+ * @param {object} [config] - Initial AI_OCR.config.
+ * @returns {Window}
+ */
+function loadInDom(html, files, config = {}) {
+  const { JSDOM } = require('jsdom');
+  const { window } = new JSDOM(html, { runScripts: 'outside-only', url: 'http://localhost/' });
+  window.AI_OCR = { config };
+  for (const file of files) window.eval(readScript(file));
+  return window;
+}
+
+module.exports = { loadScripts, loadInDom };
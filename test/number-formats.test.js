@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load');
+
+const { aiOcrUtils: utils, AI_OCR } = loadScripts(['ocr-utils.js']);
+const { normalizeNumber, resolveDecimals } = utils;
+
+test('normalizeNumber reads both decimal conventions', () => {
+  assert.equal(normalizeNumber('1,234.56'), 1234.56);
+  assert.equal(normalizeNumber('1.234,56'), 1234.56);
+  assert.equal(normalizeNumber('1 234,56'), 1234.56);
+  assert.equal(normalizeNumber("1'234.50"), 1234.5);
+  assert.equal(normalizeNumber('1,5'), 1.5);
+  assert.equal(normalizeNumber('12.50'), 12.5);
+  assert.equal(normalizeNumber(7), 7);
+  assert.equal(normalizeNumber(''), null);
+  assert.equal(normalizeNumber('n/a'), null);
+  assert.equal(normalizeNumber(null), null);
+});
+
+test('normalizeNumber drops currency and percent signs', () => {
+  assert.equal(normalizeNumber('RM 12.50'), 12.5);
+  assert.equal(normalizeNumber('€ 9,90'), 9.9);
+  assert.equal(normalizeNumber('S$1,200.00'), 1200);
+  assert.equal(normalizeNumber('15%'), 15);
+});
+
+test('normalizeNumber reads accounting negatives around currency', () => {
+  assert.equal(normalizeNumber('(15.00)'), -15);
+  assert.equal(normalizeNumber('15.00-'), -15);
+  assert.equal(normalizeNumber('−3'), -3);
+  assert.equal(normalizeNumber('$ (12.00)'), -12);
+  assert.equal(normalizeNumber('RM (12.00)'), -12);
+  assert.equal(normalizeNumber('(12.00) SGD'), -12);
+  assert.equal(normalizeNumber('(RM 1,234.50)'), -1234.5);
+});
+
+test('normalizeNumber resolves "1,234" with decimal, locale, then config', (t) => {
+  t.after(() => { AI_OCR.config = {}; });
+  assert.equal(normalizeNumber('1,234'), 1234);
+  assert.equal(normalizeNumber('1.234'), 1.234);
+  assert.equal(normalizeNumber('1,234', { decimal: ',' }), 1.234);
+  assert.equal(normalizeNumber('1.234', { locale: 'de-DE' }), 1234);
+  AI_OCR.config = { numberLocale: 'de-DE' };
+  assert.equal(normalizeNumber('1.234'), 1234);
+  assert.equal(normalizeNumber('1.234', { decimal: '.' }), 1.234);
+  // Unambiguous values ignore the preference
+  assert.equal(normalizeNumber('1,234.56'), 1234.56);
+});
+
+test('resolveDecimals detects per column, then per document', () => {
+  const rows = [
+    { qty: '1.000', unit_price: '12,50', amount: '12.500,00' },
+    { qty: '2', unit_price: '3,75', amount: '7,50' },
+  ];
+  assert.deepEqual(resolveDecimals(rows, ['qty', 'unit_price', 'amount']), { qty: ',', unit_price: ',', amount: ',' });
+  assert.deepEqual(resolveDecimals([{ qty: '1,234', amount: '1,234.50' }], ['qty', 'amount']), { qty: '.', amount: '.' });
+  assert.deepEqual(resolveDecimals([{ qty: '12' }], ['qty']), { qty: undefined });
+});
+
+test('resolveDecimals lets decimal or locale override detection', () => {
+  const rows = [{ amount: '1.234,50' }];
+  assert.deepEqual(resolveDecimals(rows, ['amount'], { decimal: '.' }), { amount: '.' });
+  assert.deepEqual(resolveDecimals(rows, ['amount'], { locale: 'en-US' }), { amount: '.' });
+});
+
+test('normalizeAndValidate keeps one decimal convention across a document', () => {
+  const rows = utils.normalizeAndValidate([
+    { code: 'A', qty: '1.000', unit_price: '2,50' },
+    { code: 'B', qty: '2', unit_price: '1.250,00' },
+  ]);
+  assert.equal(rows[0].qty, 1000);
+  assert.equal(rows[0].unit_price, 2.5);
+  assert.equal(rows[1].unit_price, 1250);
+});
+
+test('normalizeDocument detects decimals across replies parsed separately', () => {
+  const first = utils.parseDocument(JSON.stringify({ header: { subtotal: '1.500' }, items: [{ code: 'A', qty: '1.500' }] }));
+  const second = utils.parseDocument(JSON.stringify([{ code: 'B', unit_price: '1.234,50' }]));
+  assert.equal(first.items[0].qty, '1.500');
+  const doc = utils.normalizeDocument({ header: first.header, items: [...first.items, ...second.items] });
+  assert.equal(doc.items[0].qty, 1500);
+  assert.equal(doc.items[1].unit_price, 1234.5);
+  assert.equal(doc.header.subtotal, 1500);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInDom } = require('./helpers/load');
+
+const render = (rows) => {
+  const window = loadInDom('<div id="grid"></div>', ['ocr-utils.js', 'review-grid.js']);
+  const opened = [];
+  window.aiOcrReview.renderReviewGrid(window.document.getElementById('grid'), rows, {
+    fields: ['code', 'qty'],
+    sources: ['page1.png'],
+    onSourceClick: (src, row, bbox) => opened.push([src, bbox && [...bbox]]),
+  });
+  const cell = (field) => window.document.querySelector(`#grid input[data-field="${field}"]`);
+  const dblclick = (el) => el.dispatchEvent(new window.MouseEvent('dblclick', { bubbles: true }));
+  return { opened, cell, dblclick };
+};
+
+test('double-clicking a cell opens its region in the lightbox', () => {
+  const { opened, cell, dblclick } = render([
+    { code: 'A', qty: 2, _sourceIndex: 0, _bbox: [100, 0, 200, 1000], _fields: { qty: { bbox: [110, 500, 190, 600] } } },
+  ]);
+  dblclick(cell('qty'));
+  dblclick(cell('code'));
+  assert.deepEqual(opened, [['page1.png', [110, 500, 190, 600]], ['page1.png', [100, 0, 200, 1000]]]);
+});
+
+test('double-clicking a cell without a region leaves the lightbox closed', () => {
+  const { opened, cell, dblclick } = render([{ code: 'A', qty: 2, _sourceIndex: 0 }]);
+  dblclick(cell('qty'));
+  assert.deepEqual(opened, []);
+});
@@ -0,0 +1,111 @@
+/**
+ * @file tools/ocr-proxy-stub.js
+ * @description Local stand-in for a backend OCR endpoint (the "proxy" provider in ocr-providers.js).
+ *              Serves the demo page and the top-level scripts and answers POST /api/ocr with canned rows, so the
+ *              proxy mode can be exercised same-origin without any API key. Development aid only.
+ *
+ * Usage:
+ *   node tools/ocr-proxy-stub.js                 # http://localhost:8787/index.html?proxy=/api/ocr
+ *   PORT=9000 STUB_TOKEN=secret node tools/ocr-proxy-stub.js   # also require "Authorization: Bearer secret"
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.STUB_TOKEN || '';
+
+// Also the allow-list of static file types: anything else (package.json, requests, .git) is never served
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8'
+};
+
+const SAMPLE_ROWS = [
+  { code: 'STUB-001', brand: 'Acme', desc_short: 'Widget 10mm', uom: 'EA', qty: 10, unit_list: 1.5, disc_pct: 0, unit_price: 1.5, amount: 15, gst: 1 },
+  { code: 'STUB-002', brand: '', desc_short: 'Bolt M5', uom: 'PC', qty: 100, unit_list: 0.2, disc_pct: null, unit_price: 0.2, amount: 20, gst: 0 }
+];
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function handleOcr(req, res) {
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendJson(res, 401, { error: { message: 'Missing or invalid Authorization header' } });
+    return;
+  }
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch (_) {
+    sendJson(res, 400, { error: { message: 'Body must be JSON' } });
+    return;
+  }
+  if (!payload || typeof payload !== 'object') {
+    sendJson(res, 400, { error: { message: 'Body must be a JSON object' } });
+    return;
+  }
+  if (!Array.isArray(payload.images) || !payload.images.every(img => img && img.mimeType && img.data)) {
+    sendJson(res, 400, { error: { message: 'images must be an array of { mimeType, data }' } });
+    return;
+  }
+  console.log(`OCR request: model=${payload.model} images=${payload.images.length} schema=${payload.schema ? 'yes' : 'no'}`);
+  sendJson(res, 200, { rows: SAMPLE_ROWS });
+}
+
+function serveStatic(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (_) {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  // Top-level files only: no subfolders (tools/, .git/), dotfiles, '..' or types outside MIME
+  const name = urlPath === '/' ? 'index.html' : urlPath.slice(1);
+  if (!/^[\w-][\w.-]*$/.test(name) || name.includes('..') || !MIME[path.extname(name)]) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+  const filePath = path.join(ROOT, name);
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+http.createServer((req, res) => {
+  if (req.method === 'POST' && req.url.split('?')[0] === '/api/ocr') {
+    handleOcr(req, res).catch((e) => sendJson(res, 500, { error: { message: String(e && e.message || e) } }));
+    return;
+  }
+  if (req.method === 'GET') {
+    serveStatic(req, res);
+    return;
+  }
+  res.writeHead(405);
+  res.end();
+}).listen(PORT, () => {
+  console.log(`OCR proxy stub on http://localhost:${PORT}/index.html?proxy=/api/ocr`);
+});